@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * Local CLI: prices the cost delta between two git refs on a developer's
+ * machine, with the same synth, analyzer and rendering code as the action.
+ *
+ *   cloudcost diff --base origin/main --head HEAD --format table
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderMarkdown, buildDeltaExport, formatUsd } = require('./lib/delta');
+
+const USAGE = `Usage: cloudcost diff [options]
+
+Options:
+  --base <ref>            Ref to compare against (default: origin/main)
+  --head <ref>            Ref to analyze (default: HEAD, including uncommitted changes)
+  --format <format>       markdown, json or table (default: table)
+  --region <region>       Region for environment-agnostic stacks
+  --usage-profile <name>  Usage profile: small, med or large
+  --config <file>         Repository config file (default: .cloudcost.yml)
+  --usage-file <file>     Usage assumptions file (default: .cloudcost-usage.yml)
+  --backend-url <url>     CloudCost backend, e.g. a staging or mock backend
+  --analyzer-path <file>  Local analyzer binary to run instead of downloading one
+  --verbose               Print the analysis log to stderr
+  -h, --help              Show this help
+
+The API key is read from the CLOUDCOST_API_KEY environment variable.`;
+
+const FORMATS = ['markdown', 'json', 'table'];
+const VALUE_OPTIONS = ['base', 'head', 'format', 'region', 'usage-profile', 'config', 'usage-file', 'backend-url', 'analyzer-path'];
+const LOG_FILE = path.join(os.tmpdir(), 'cloudcost-cli.log');
+
+/**
+ * Parses `diff` options given as `--name value` or `--name=value`.
+ * Throws on unknown options or missing values.
+ */
+function parseArgs(argv) {
+  const options = { base: 'origin/main', head: 'HEAD', format: 'table', verbose: false, help: false };
+  for (let idx = 0; idx < argv.length; idx++) {
+    const arg = argv[idx];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+    if (arg === '--verbose') {
+      options.verbose = true;
+      continue;
+    }
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+    if (!match || !VALUE_OPTIONS.includes(match[1])) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    const value = match[2] !== undefined ? match[2] : argv[++idx];
+    if (value === undefined || value === '') {
+      throw new Error(`Option --${match[1]} needs a value`);
+    }
+    options[match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase())] = value;
+  }
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Invalid --format "${options.format}" (allowed values: ${FORMATS.join(', ')})`);
+  }
+  return options;
+}
+
+/**
+ * Sends everything the analysis prints (console output, command output,
+ * workflow commands) to stderr or the log file, keeping stdout for the
+ * report. Returns writers for stdout and for the CLI's own messages.
+ */
+function redirectLogs(verbose) {
+  const writeOut = process.stdout.write.bind(process.stdout);
+  const writeErr = process.stderr.write.bind(process.stderr);
+  let sink = writeErr;
+  if (!verbose) {
+    fs.writeFileSync(LOG_FILE, '');
+    sink = (chunk, encoding, callback) => {
+      fs.appendFileSync(LOG_FILE, chunk);
+      const done = typeof encoding === 'function' ? encoding : callback;
+      if (done) done();
+      return true;
+    };
+    process.stderr.write = sink;
+  }
+  process.stdout.write = sink;
+  return { writeOut, writeErr };
+}
+
+/**
+ * Resolves both refs and runs the shared analysis. A head that is the
+ * current checkout is analyzed in place, so uncommitted changes count.
+ */
+async function runDiff(cloudcost, options) {
+  const workDir = process.cwd();
+  const env = { ...process.env };
+  if (options.region) env.CLOUDCOST_REGION = options.region;
+  if (options.usageProfile) env.CLOUDCOST_USAGE_PROFILE = options.usageProfile;
+  if (options.usageFile) env.CLOUDCOST_USAGE_FILE = options.usageFile;
+  if (options.backendUrl) env.CLOUDCOST_BACKEND_URL = options.backendUrl;
+  if (options.analyzerPath) env.CLOUDCOST_ANALYZER_PATH = options.analyzerPath;
+
+  const repoConfig = cloudcost.loadRepoConfig(workDir, options.config || env.CLOUDCOST_CONFIG_FILE);
+  const settings = cloudcost.resolveSettings(repoConfig, env);
+  const usage = cloudcost.loadUsageFile(workDir, settings.usageFile);
+
+  const apiKey = env.CLOUDCOST_API_KEY;
+  if (!apiKey) {
+    throw new Error('CLOUDCOST_API_KEY is not set. Export your CloudCost API key before running the CLI.');
+  }
+  cloudcost.registerSecret(apiKey);
+
+  const repoRoot = cloudcost.captureCmd('git rev-parse --show-toplevel', { cwd: workDir });
+  const appPrefix = cloudcost.captureCmd('git rev-parse --show-prefix', { cwd: workDir });
+  const baseSha = cloudcost.resolveGitRef(repoRoot, options.base);
+  const headSha = cloudcost.resolveGitRef(repoRoot, options.head);
+  const workspaceSha = cloudcost.captureCmd('git rev-parse HEAD', { cwd: workDir });
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudcost-'));
+  const worktrees = [];
+  try {
+    const analyzerPath = await cloudcost.resolveAnalyzer(settings, workDir);
+    const result = await cloudcost.analyzeCostDiff({
+      settings,
+      usage,
+      analyzerPath,
+      apiKey,
+      backendUrl: settings.backendUrl,
+      workDir,
+      repoRoot,
+      appPrefix,
+      baseSha,
+      headSha,
+      headNeedsWorktree: headSha !== workspaceSha,
+      tmpDir,
+      timings: [],
+      worktrees,
+    });
+    return { ...result, settings, baseSha, headSha };
+  } finally {
+    for (const worktree of worktrees) {
+      cloudcost.removeWorktree(worktree.label, worktree.repoRoot, worktree.dir);
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Plain-text table of changed stacks and resources for the terminal.
+ */
+function renderTable(delta, budgetResult) {
+  const rows = [];
+  for (const stack of delta.stacks || []) {
+    const name = stack.renamedFrom ? `${stack.stackName} (renamed from ${stack.renamedFrom})` : stack.stackName;
+    rows.push([name, '', formatUsd(stack.base), formatUsd(stack.head), formatUsd(stack.diff)]);
+    for (const item of stack.items || []) {
+      if (item.diff === 0) continue;
+      const label = `${item.service} / ${item.logicalId}${item.movedFrom ? ' (moved)' : ''}`;
+      rows.push(['', label, formatUsd(item.base), formatUsd(item.head), formatUsd(item.diff)]);
+    }
+  }
+  const header = ['Stack', 'Resource', 'Base', 'Head', 'Δ'];
+  const total = ['Total', '', formatUsd(delta.total.base), formatUsd(delta.total.head), formatUsd(delta.total.diff)];
+  const widths = header.map((_, col) => Math.max(...[header, ...rows, total].map((row) => row[col].length)));
+  // Money columns are right-aligned
+  const format = (row) =>
+    row.map((cell, col) => (col >= 2 ? cell.padStart(widths[col]) : cell.padEnd(widths[col]))).join('  ').trimEnd();
+  const rule = widths.map((width) => '-'.repeat(width)).join('  ');
+
+  const lines = [format(header), rule];
+  if (rows.length === 0) lines.push('No cost changes.');
+  lines.push(...rows.map(format), rule, format(total));
+  if (budgetResult.exceeded) {
+    lines.push('', 'Budget exceeded:', ...budgetResult.breaches.map((breach) => `  - ${breach.message}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+async function run(argv) {
+  const [command, ...rest] = argv;
+  if (!command || command === '-h' || command === '--help') {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  let options;
+  try {
+    if (command !== 'diff') throw new Error(`Unknown command: ${command}`);
+    options = parseArgs(rest);
+  } catch (err) {
+    process.stderr.write(`cloudcost: ${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const { writeOut, writeErr } = redirectLogs(options.verbose);
+  const cloudcost = require('./index');
+  try {
+    if (!options.verbose) writeErr(`Analyzing ${options.base}...${options.head} (log: ${LOG_FILE})\n`);
+    const { delta, budgetResult, regionComparison, settings, baseSha, headSha } = await runDiff(cloudcost, options);
+    if (options.format === 'json') {
+      writeOut(`${JSON.stringify(buildDeltaExport(delta, budgetResult, { baseSha, headSha }), null, 2)}\n`);
+    } else if (options.format === 'markdown') {
+      writeOut(renderMarkdown(delta, settings.commentTitle, budgetResult, {
+        maxLength: Infinity,
+        regionComparison,
+        logger: console,
+      }));
+    } else {
+      writeOut(renderTable(delta, budgetResult));
+    }
+    // Same as the action: a breached budget fails
+    return budgetResult.exceeded ? 1 : 0;
+  } catch (err) {
+    writeErr(`cloudcost: ${err.message}\n`);
+    if (!options.verbose) writeErr(`See ${LOG_FILE} for the full log.\n`);
+    return 1;
+  }
+}
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -1,44 +1,96 @@
+// The action runs this file directly; the CLI requires it as a module
+const isActionEntryPoint = require.main === module;
+
 // Force immediate output - this should appear even if everything else fails
 // Write to both stdout and stderr to ensure visibility
-process.stdout.write('=== CLOUDCOST ACTION SCRIPT LOADED ===\n');
-process.stderr.write('=== CLOUDCOST ACTION SCRIPT LOADED (stderr) ===\n');
-process.stdout.write(`Node version: ${process.version}\n`);
-process.stderr.write(`Node version (stderr): ${process.version}\n`);
-process.stdout.write(`Platform: ${process.platform} ${process.arch}\n`);
-process.stderr.write(`Platform (stderr): ${process.platform} ${process.arch}\n`);
-process.stdout.write(`Working directory: ${process.cwd()}\n`);
-process.stderr.write(`Working directory (stderr): ${process.cwd()}\n`);
-
-// Force flush stdout/stderr (if available)
-if (process.stdout.flush) process.stdout.flush();
-if (process.stderr.flush) process.stderr.flush();
+if (isActionEntryPoint) {
+  process.stdout.write('=== CLOUDCOST ACTION SCRIPT LOADED ===\n');
+  process.stderr.write('=== CLOUDCOST ACTION SCRIPT LOADED (stderr) ===\n');
+  process.stdout.write(`Node version: ${process.version}\n`);
+  process.stderr.write(`Node version (stderr): ${process.version}\n`);
+  process.stdout.write(`Platform: ${process.platform} ${process.arch}\n`);
+  process.stderr.write(`Platform (stderr): ${process.platform} ${process.arch}\n`);
+  process.stdout.write(`Working directory: ${process.cwd()}\n`);
+  process.stderr.write(`Working directory (stderr): ${process.cwd()}\n`);
+
+  // Force flush stdout/stderr (if available)
+  if (process.stdout.flush) process.stdout.flush();
+  if (process.stderr.flush) process.stderr.flush();
+}
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
-const { execSync } = require('child_process');
+const { execFileSync, execSync, spawn } = require('child_process');
 
-process.stdout.write('Loading @actions/core...\n');
+const startupLog = (message) => {
+  if (isActionEntryPoint) process.stdout.write(`${message}\n`);
+};
+startupLog('Loading @actions/core...');
 const core = require('@actions/core');
-process.stdout.write('Loading @actions/github...\n');
+startupLog('Loading @actions/github...');
 const github = require('@actions/github');
-process.stdout.write('All modules loaded successfully\n');
+startupLog('Loading js-yaml...');
+const yaml = require('js-yaml');
+startupLog('All modules loaded successfully');
+const {
+  computeDelta,
+  evaluateBudget,
+  renderMarkdown,
+  buildDeltaExport,
+  buildRegionComparison,
+  normalizeStackName,
+  formatUsd,
+  formatPropertyValue,
+  COMMENT_MARKER,
+  MAX_COMMENT_LENGTH,
+  DELTA_JSON_SCHEMA,
+} = require('./lib/delta');
+
+// Values registered with registerSecret; everything this script logs
+// (commands, command output, errors) is scrubbed of them
+const registeredSecrets = new Set();
+
+/**
+ * Registers a secret so it never shows up in logs. On GitHub runners it is
+ * also masked via core.setSecret; elsewhere (the CLI) the `::add-mask::`
+ * command would itself print the value, so only our own redaction applies.
+ */
+function registerSecret(value) {
+  if (!value) return;
+  registeredSecrets.add(value);
+  if (process.env.GITHUB_ACTIONS === 'true') {
+    core.setSecret(value);
+  }
+}
+
+/**
+ * Replaces every registered secret in text with `***`.
+ */
+function redactSecrets(text) {
+  let redacted = String(text);
+  for (const secret of registeredSecrets) {
+    redacted = redacted.split(secret).join('***');
+  }
+  return redacted;
+}
 
 function runCmd(cmd, options = {}) {
   const cmdName = cmd.split(' ')[0];
   console.log(`[CMD] Executing: ${cmdName}`);
-  console.log(`[CMD] Full command: ${cmd.replace(/(--api-key\s+)"[^"]+"/g, '$1"***"')}`);
+  console.log(`[CMD] Full command: ${redactSecrets(cmd)}`);
   console.log(`[CMD] Working directory: ${options.cwd || process.cwd()}`);
   console.log(`[CMD] Environment variables present: ${Object.keys(options.env || {}).length > 0 ? 'Yes' : 'No'}`);
   
   try {
     const startTime = Date.now();
     
-    // Use 'inherit' so output shows in real-time in GitHub Actions logs
-    // This is important for debugging, even though we can't capture the output
+    // Pipe stdout instead of inheriting it so child output goes through
+    // console.log (and the CLI's log redirect) rather than straight to fd 1.
+    // stderr stays inherited so progress still shows up in real time.
     const result = execSync(cmd, { 
-      stdio: 'inherit',
+      stdio: ['ignore', 'pipe', 'inherit'],
       encoding: 'utf8',
       ...options 
     });
@@ -46,37 +98,31 @@ function runCmd(cmd, options = {}) {
     const duration = Date.now() - startTime;
     console.log(`[CMD] ✓ Command succeeded: ${cmdName} (took ${duration}ms)`);
     
-    // Note: With stdio: 'inherit', result will be undefined for most commands
-    // but that's okay - we see the output in real-time which is more important
     if (result && result.length > 0) {
-      console.log(`[CMD] Command returned output (length: ${result.length} chars)`);
-      if (result.length > 500) {
-        console.log(`[CMD] Output preview: ${result.substring(0, 500)}...`);
-      } else {
-        console.log(`[CMD] Output: ${result}`);
-      }
+      console.log(`[CMD] Output:\n${redactSecrets(result.trimEnd())}`);
     }
     
     return result;
   } catch (err) {
     console.error(`[CMD] ✗ Command failed: ${cmdName}`);
-    console.error(`[CMD] Error message: ${err.message || String(err)}`);
+    const errorMessage = redactSecrets(err.message || String(err));
+    console.error(`[CMD] Error message: ${errorMessage}`);
     console.error(`[CMD] Error code: ${err.status || err.code || 'N/A'}`);
     console.error(`[CMD] Error signal: ${err.signal || 'N/A'}`);
     
     // execSync with stdio: 'inherit' doesn't capture stdout/stderr in err
     // but we try to get what we can
     if (err.stdout) {
-      console.error(`[CMD] Stdout: ${err.stdout}`);
+      console.error(`[CMD] Stdout: ${redactSecrets(err.stdout)}`);
     }
     if (err.stderr) {
-      console.error(`[CMD] Stderr: ${err.stderr}`);
+      console.error(`[CMD] Stderr: ${redactSecrets(err.stderr)}`);
     }
     if (err.output && Array.isArray(err.output)) {
       console.error(`[CMD] Output array length: ${err.output.length}`);
       err.output.forEach((output, idx) => {
         if (output) {
-          const outputStr = output.toString();
+          const outputStr = redactSecrets(output);
           if (outputStr.length > 0) {
             console.error(`[CMD] Output[${idx}]: ${outputStr.substring(0, 500)}${outputStr.length > 500 ? '...' : ''}`);
           }
@@ -84,8 +130,111 @@ function runCmd(cmd, options = {}) {
       });
     }
     
-    throw new Error(`Command failed: ${cmdName} - ${err.message || String(err)}`);
+    throw new Error(`Command failed: ${cmdName} - ${errorMessage}`);
+  }
+}
+
+/**
+ * Writes child process output line by line, prefixing each line so output
+ * from concurrent commands stays readable when interleaved. Registered
+ * secrets are redacted from every line.
+ */
+function createLineWriter(stream, prefix) {
+  let pending = '';
+  return {
+    write(chunk) {
+      pending += chunk.toString();
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        stream.write(`${prefix}${redactSecrets(line)}\n`);
+      }
+    },
+    flush() {
+      if (pending.length > 0) {
+        stream.write(`${prefix}${redactSecrets(pending)}\n`);
+        pending = '';
+      }
+    },
+  };
+}
+
+/**
+ * Async counterpart of runCmd. Streams stdout/stderr with a `[PREFIX]` tag
+ * instead of inheriting stdio, so base and head can run side by side.
+ */
+function runCmdAsync(cmd, options = {}) {
+  const { prefix, ...spawnOptions } = options;
+  const tag = prefix ? `[${prefix}] ` : '';
+  const cmdName = cmd.split(' ')[0];
+  console.log(`${tag}[CMD] Executing: ${cmdName}`);
+  console.log(`${tag}[CMD] Full command: ${redactSecrets(cmd)}`);
+  console.log(`${tag}[CMD] Working directory: ${spawnOptions.cwd || process.cwd()}`);
+
+  const startTime = Date.now();
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, {
+      shell: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      ...spawnOptions,
+    });
+    const stdout = createLineWriter(process.stdout, tag);
+    const stderr = createLineWriter(process.stderr, tag);
+    child.stdout.on('data', (chunk) => stdout.write(chunk));
+    child.stderr.on('data', (chunk) => stderr.write(chunk));
+
+    child.on('error', (err) => {
+      console.error(`${tag}[CMD] ✗ Command failed to start: ${cmdName}`);
+      reject(new Error(`Command failed: ${cmdName} - ${redactSecrets(err.message)}`));
+    });
+    child.on('close', (code, signal) => {
+      stdout.flush();
+      stderr.flush();
+      const duration = Date.now() - startTime;
+      if (code === 0) {
+        console.log(`${tag}[CMD] ✓ Command succeeded: ${cmdName} (took ${duration}ms)`);
+        resolve();
+        return;
+      }
+      console.error(`${tag}[CMD] ✗ Command failed: ${cmdName}`);
+      console.error(`${tag}[CMD] Error code: ${code ?? 'N/A'}`);
+      console.error(`${tag}[CMD] Error signal: ${signal || 'N/A'}`);
+      reject(new Error(`Command failed: ${cmdName} - exited with ${signal ? `signal ${signal}` : `code ${code}`}`));
+    });
+  });
+}
+
+/**
+ * Awaits all promises and, unlike Promise.all, only rejects once every one of
+ * them has settled, so no child process is still running when cleanup starts.
+ */
+async function settleAll(promises) {
+  const results = await Promise.allSettled(promises);
+  const failure = results.find((r) => r.status === 'rejected');
+  if (failure) {
+    throw failure.reason;
+  }
+  return results.map((r) => r.value);
+}
+
+/**
+ * Runs fn and records how long it took under `phase` in timings.
+ */
+async function timePhase(timings, phase, fn) {
+  const phaseStartTime = Date.now();
+  try {
+    return await fn();
+  } finally {
+    timings.push({ phase, durationMs: Date.now() - phaseStartTime });
+  }
+}
+
+function logTimings(timings, totalMs) {
+  console.log('=== Phase timings ===');
+  for (const { phase, durationMs } of timings) {
+    console.log(`[TIMING] ${phase.padEnd(20)} ${(durationMs / 1000).toFixed(2)}s`);
   }
+  console.log(`[TIMING] ${'Total'.padEnd(20)} ${(totalMs / 1000).toFixed(2)}s`);
 }
 
 function readJson(filePath) {
@@ -100,620 +249,2506 @@ function readJson(filePath) {
   return parsed;
 }
 
+const CONFIG_FILE_NAMES = ['.cloudcost.yml', '.cloudcost.yaml', '.cloudcost.json'];
+const USAGE_PROFILES = ['small', 'med', 'large'];
+const TEMPLATE_SOURCES = ['auto', 'cdk', 'cloudformation'];
+const PREVIOUS_COMMENT_POLICIES = ['update', 'minimize', 'delete', 'collapse', 'keep'];
+const REGION_PATTERN = /^[a-z]{2}(-gov|-iso[a-z]?)?-[a-z]+-\d$/;
+
 /**
- * Computes SHA-256 hashes for all CloudFormation template files in cdk.out
- * Returns a Map of stackName -> hash
+ * Field validators shared by the repository config file and the action inputs.
+ * Each returns an error string describing the allowed values, or null when valid.
  */
-function computeTemplateHashes(cdkOutPath) {
-  console.log(`[HASH] Computing template hashes in: ${cdkOutPath}`);
-  const hashes = new Map();
-  
-  if (!fs.existsSync(cdkOutPath)) {
-    console.warn(`[HASH] cdk.out directory not found: ${cdkOutPath}`);
-    return hashes;
-  }
-  
-  try {
-    const files = fs.readdirSync(cdkOutPath);
-    console.log(`[HASH] Found ${files.length} files in cdk.out`);
-    
-    // Find all .template.json files (CDK CloudFormation templates)
-    const templateFiles = files.filter(f => f.endsWith('.template.json'));
-    console.log(`[HASH] Found ${templateFiles.length} CloudFormation template files`);
-    
-    for (const templateFile of templateFiles) {
-      const templatePath = path.join(cdkOutPath, templateFile);
-      const stackName = templateFile.replace('.template.json', '');
-      
-      try {
-        const content = fs.readFileSync(templatePath, 'utf8');
-        const hash = crypto.createHash('sha256').update(content).digest('hex');
-        hashes.set(stackName, hash);
-        console.log(`[HASH] ${stackName}: ${hash.substring(0, 16)}...`);
-      } catch (err) {
-        console.warn(`[HASH] Failed to hash ${templateFile}: ${err.message}`);
-      }
+const FIELD_VALIDATORS = {
+  url: (v) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(v).protocol) ? null : 'allowed values: an http(s) URL';
+    } catch (e) {
+      return 'allowed values: an http(s) URL';
     }
-    
-    console.log(`[HASH] Computed hashes for ${hashes.size} stacks`);
-  } catch (err) {
-    console.error(`[HASH] Error reading cdk.out directory: ${err.message}`);
+  },
+  region: (v) =>
+    typeof v === 'string' && REGION_PATTERN.test(v)
+      ? null
+      : 'allowed values: an AWS region code such as us-east-1',
+  regions: (v) =>
+    Array.isArray(v) && v.every((r) => typeof r === 'string' && REGION_PATTERN.test(r))
+      ? null
+      : 'allowed values: a list of AWS region codes such as us-east-1',
+  usage_profile: (v) =>
+    USAGE_PROFILES.includes(v) ? null : `allowed values: ${USAGE_PROFILES.join(', ')}`,
+  previous_comments: (v) =>
+    PREVIOUS_COMMENT_POLICIES.includes(v) ? null : `allowed values: ${PREVIOUS_COMMENT_POLICIES.join(', ')}`,
+  source: (v) =>
+    TEMPLATE_SOURCES.includes(v) ? null : `allowed values: ${TEMPLATE_SOURCES.join(', ')}`,
+  analyzer_version: (v) =>
+    typeof v === 'string' && /^v\d+\.\d+\.\d+\S*$/.test(v)
+      ? null
+      : 'allowed values: a release tag such as v0.1.0',
+  sha256: (v) =>
+    typeof v === 'string' && /^[a-f0-9]{64}$/i.test(v)
+      ? null
+      : 'allowed values: a 64-character hexadecimal SHA-256 checksum',
+  string: (v) =>
+    typeof v === 'string' && v.trim() !== '' ? null : 'allowed values: a non-empty string',
+  comment_key: (v) =>
+    typeof v === 'string' && /^[A-Za-z0-9._/-]+$/.test(v)
+      ? null
+      : 'allowed values: letters, digits, ".", "_", "-" and "/"',
+  boolean: (v) => (typeof v === 'boolean' ? null : 'allowed values: true, false'),
+  usage_version: (v) => (v === 1 ? null : 'allowed values: 1'),
+  amount: (v) =>
+    typeof v === 'number' && Number.isFinite(v) && v >= 0
+      ? null
+      : 'allowed values: a non-negative number',
+  patterns: (v) =>
+    Array.isArray(v) && v.every((p) => typeof p === 'string' && p !== '')
+      ? null
+      : 'allowed values: a list of names (wildcards with *)',
+};
+
+/**
+ * Schema for .cloudcost.yml / .cloudcost.json. Leaves map a key to a
+ * FIELD_VALIDATORS name; nested objects describe sub-sections; `*` matches
+ * any key (used for user-defined stack names).
+ */
+const CONFIG_SCHEMA = {
+  region: 'region',
+  usage_profile: 'usage_profile',
+  compare_regions: 'regions',
+  analyzer_version: 'analyzer_version',
+  analyzer_sha256: 'sha256',
+  analyzer_path: 'string',
+  backend_url: 'url',
+  comment_title: 'string',
+  update_existing_comment: 'boolean',
+  comment_key: 'comment_key',
+  previous_comments: 'previous_comments',
+  collapse_old_comments: 'boolean',
+  pr_comment: 'boolean',
+  check_run: 'boolean',
+  job_summary: 'boolean',
+  report_dir: 'string',
+  usage_file: 'string',
+  sarif_warning_increase: 'amount',
+  sarif_error_increase: 'amount',
+  enable_usage_reporting: 'boolean',
+  ignore_stacks: 'patterns',
+  source: 'source',
+  template_paths: 'patterns',
+  budget: {
+    max_increase: 'amount',
+    max_increase_percent: 'amount',
+    stack_limits: { '*': 'amount' },
+  },
+  stacks: {
+    '*': {
+      region: 'region',
+      usage_profile: 'usage_profile',
+      ignore_resources: 'patterns',
+      max_increase: 'amount',
+    },
+  },
+};
+
+function validateAgainstSchema(value, schema, keyPath, errors) {
+  if (typeof schema === 'string') {
+    const problem = FIELD_VALIDATORS[schema](value);
+    if (problem) {
+      errors.push(`"${keyPath}" has invalid value ${JSON.stringify(value)} (${problem})`);
+    }
+    return;
   }
-  
-  return hashes;
-}
 
-function copyDir(src, dest) {
-  console.log(`[FS] Copying directory from ${src} to ${dest}`);
-  if (!fs.existsSync(src)) {
-    console.warn(`[FS] Source directory does not exist, skipping copy: ${src}`);
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`"${keyPath || '(root)'}" must be a mapping`);
     return;
   }
-  try {
-    if (fs.existsSync(dest)) {
-      fs.rmSync(dest, { recursive: true, force: true });
-    }
-    fs.mkdirSync(dest, { recursive: true });
-    const entries = fs.readdirSync(src, { withFileTypes: true });
-    for (const entry of entries) {
-      const srcPath = path.join(src, entry.name);
-      const destPath = path.join(dest, entry.name);
-      if (entry.isDirectory()) {
-        copyDir(srcPath, destPath);
-      } else if (entry.isFile()) {
-        fs.copyFileSync(srcPath, destPath);
-      }
+
+  const allowedKeys = Object.keys(schema).filter((k) => k !== '*');
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = keyPath ? `${keyPath}.${key}` : key;
+    if (Object.prototype.hasOwnProperty.call(schema, key)) {
+      validateAgainstSchema(child, schema[key], childPath, errors);
+    } else if (schema['*']) {
+      validateAgainstSchema(child, schema['*'], childPath, errors);
+    } else {
+      errors.push(`Unknown key "${childPath}" (allowed keys: ${allowedKeys.join(', ')})`);
     }
-    console.log(`[FS] ✓ Directory copy completed`);
-  } catch (err) {
-    console.error(`[FS] Failed to copy directory from ${src} to ${dest}: ${err.message}`);
   }
 }
 
-function hasAwsCredentials() {
-  const env = process.env;
-  return !!(
-    env.AWS_ACCESS_KEY_ID ||
-    env.AWS_ROLE_ARN ||
-    env.AWS_WEB_IDENTITY_TOKEN_FILE
-  );
-}
-
 /**
- * Determines the CDK CLI command to use based on the user's repository.
- * Uses the latest CDK CLI, with two modes:
- * - If AWS credentials are present: run with lookups enabled
- * - If no credentials: run with --no-lookups (requires committed cdk.context.json)
+ * Finds, parses (YAML or JSON) and validates one of the repository's
+ * settings files against `schema`. Uses explicitPath when given, otherwise
+ * the first of fileNames found in workDir. Returns {} when there is none.
  */
-function getCdkSynthCommand(workDir) {
-  const hasCreds = hasAwsCredentials();
-  if (hasCreds) {
-    console.log('[CDK] AWS credentials detected; running synth with lookups enabled');
-    return 'npx --yes aws-cdk@latest synth --quiet';
-  } else {
-    console.log('[CDK] No AWS credentials detected; running synth with --no-lookups');
-    console.log('[CDK] To use lookups without credentials, commit cdk.context.json from a prior synth run');
-    return 'npx --yes aws-cdk@latest synth --quiet --no-lookups';
-  }
-}
-
-function computeDelta(baseReport, headReport, baseHashes, headHashes) {
-  function normalizeStackName(stackName) {
-    if (!stackName) return stackName;
-    const baseName = path.basename(stackName);
-    return baseName.replace(/\.template\.json$/i, '');
-  }
-
-  /**
-   * Normalize a single breakdown entry into a consistent shape:
-   *   { name, units, ratePerUnit, monthlyCost }
-   *
-   * This is intentionally defensive so that it can support multiple
-   * possible field names from the analyzer while remaining backwards
-   * compatible if the breakdown data is absent.
-   */
-  function normalizeBreakdownEntry(raw) {
-    if (!raw || typeof raw !== 'object') return null;
-
-    const name =
-      raw.name ||
-      raw.component ||
-      raw.Component ||
-      raw.LogicalID ||
-      'Unknown';
-
-    const units = raw.units || raw.Units || '';
-
-    const ratePerUnitRaw =
-      raw.ratePerUnit ??
-      raw.rate_per_unit ??
-      raw.RatePerUnit;
-    const ratePerUnit =
-      typeof ratePerUnitRaw === 'number' && Number.isFinite(ratePerUnitRaw)
-        ? ratePerUnitRaw
-        : 0;
-
-    const monthlyCostRaw =
-      raw.monthlyCost ??
-      raw.monthly_cost ??
-      raw['Est. Monthly Cost'];
-    const monthlyCost =
-      typeof monthlyCostRaw === 'number' && Number.isFinite(monthlyCostRaw)
-        ? monthlyCostRaw
-        : 0;
-
-    return { name, units, ratePerUnit, monthlyCost };
-  }
-
-  /**
-   * Extract and normalize the cost breakdown array from an analyzer item.
-   *
-   * The new schema defines a `CostBreakdown` array with entries:
-   *   { name, units, ratePerUnit, monthlyCost }
-   *
-   * To be resilient to changes and casing differences, we check a few
-   * common property names. If no breakdown is present, this returns [].
-   */
-  function extractBreakdown(item) {
-    if (!item || typeof item !== 'object') return [];
-
-    const rawArray =
-      item.CostBreakdown ||
-      item.costBreakdown ||
-      item.cost_breakdown ||
-      item.breakdown ||
-      [];
-
-    if (!Array.isArray(rawArray)) return [];
-
-    const result = [];
-    for (const raw of rawArray) {
-      const normalized = normalizeBreakdownEntry(raw);
-      if (!normalized) continue;
-      // Ignore completely zero rows to avoid noise
-      if (
-        normalized.monthlyCost === 0 &&
-        normalized.ratePerUnit === 0
-      ) {
-        continue;
-      }
-      result.push(normalized);
+function loadValidatedFile(workDir, explicitPath, fileNames, schema, tag, description) {
+  let filePath = null;
+  if (explicitPath) {
+    filePath = path.resolve(workDir, explicitPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`${description} not found: ${filePath}`);
     }
-
-    return result;
+  } else {
+    filePath = fileNames
+      .map((name) => path.join(workDir, name))
+      .find((candidate) => fs.existsSync(candidate)) || null;
   }
 
-  function indexReport(report) {
-    const stacks = new Map();
-    for (const s of report.stacks || []) {
-      const itemMap = new Map();
-      for (const item of s.items || []) {
-        // Derive logical ID: prefer new schema, fall back to old
-        const logicalId =
-          item.LogicalID ||
-          item.logical_id ||
-          item.cdk_path ||
-          `${item.service || item.Component || 'unknown'}|${item.LogicalID || item.logical_id || 'unknown'}`;
-
-        // Derive service/component label
-        const service =
-          item.Component ||
-          item.ResourceType ||
-          item.service ||
-          'Unknown';
-
-        // Derive monthly cost: new schema uses 'Est. Monthly Cost', old uses 'monthly_usd'
-        const monthlyCostRaw = item['Est. Monthly Cost'] ?? item.monthly_usd;
-        const monthlyCost =
-          typeof monthlyCostRaw === 'number' && Number.isFinite(monthlyCostRaw)
-            ? monthlyCostRaw
-            : 0;
-
-        // Normalize item into a consistent internal shape
-        const normalizedItem = {
-          logical_id: logicalId,
-          service,
-          monthly_usd: monthlyCost,
-          // Carry through breakdown and any other raw fields for later use
-          CostBreakdown: item.CostBreakdown || item.costBreakdown || item.cost_breakdown || [],
-          cdk_path: item.cdk_path,
-          notes: item.notes || [],
-          // Keep original item reference for any extra fields
-          _raw: item,
-        };
-
-        itemMap.set(logicalId, normalizedItem);
-      }
-      const normalizedName = normalizeStackName(s.name);
-      stacks.set(normalizedName, {
-        name: normalizedName,
-        fullPath: s.name,
-        total: s.total_monthly_usd ?? 0,
-        items: itemMap,
-      });
-    }
-    const total =
-      report.grand_total_usd ??
-      Array.from(stacks.values()).reduce((sum, s) => sum + (s.total || 0), 0);
-    return { stacks, total };
+  if (!filePath) {
+    console.log(`[${tag}] No ${description.toLowerCase()} found (looked for ${fileNames.join(', ')})`);
+    return {};
   }
 
-  const base = indexReport(baseReport);
-  const head = indexReport(headReport);
-
-  const stackNames = new Set([
-    ...base.stacks.keys(),
-    ...head.stacks.keys(),
-  ]);
-
-  // Identify unchanged stacks based on hash comparison
-  const unchangedStacks = new Set();
-  if (baseHashes && headHashes) {
-    for (const stackName of stackNames) {
-      const normalized = normalizeStackName(stackName);
-      const baseHash = baseHashes ? baseHashes.get(normalized) : undefined;
-      const headHash = headHashes ? headHashes.get(normalized) : undefined;
-      if (baseHash && headHash && baseHash === headHash) {
-        unchangedStacks.add(stackName);
-        console.log(`[DELTA] Stack "${stackName}" (normalized: "${normalized}") unchanged (hash: ${baseHash.substring(0, 16)}...)`);
-      }
-    }
-    console.log(`[DELTA] Found ${unchangedStacks.size} unchanged stacks out of ${stackNames.size} total`);
+  console.log(`[${tag}] Loading ${description.toLowerCase()}: ${filePath}`);
+  const raw = fs.readFileSync(filePath, 'utf8');
+  let parsed;
+  try {
+    parsed = filePath.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+  } catch (err) {
+    throw new Error(`Failed to parse ${path.basename(filePath)}: ${err.message}`);
+  }
+  if (parsed === undefined || parsed === null) {
+    return {};
   }
 
-  const stacksDelta = [];
-  for (const stackName of stackNames) {
-    const baseStack = base.stacks.get(stackName);
-    const headStack = head.stacks.get(stackName);
-    
-    // For unchanged stacks, use the base cost for both sides (delta = 0)
-    let baseTotal, headTotal, diff;
-    if (unchangedStacks.has(stackName)) {
-      // Use base cost for both to ensure delta = 0
-      baseTotal = baseStack?.total ?? 0;
-      headTotal = baseTotal;
-      diff = 0;
-      console.log(`[DELTA] Stack "${stackName}": Using base cost for both (${baseTotal}) - delta = 0`);
-    } else {
-      baseTotal = baseStack?.total ?? 0;
-      headTotal = headStack?.total ?? 0;
-      diff = headTotal - baseTotal;
-    }
-
-    const itemKeys = new Set([
-      ...(baseStack ? baseStack.items.keys() : []),
-      ...(headStack ? headStack.items.keys() : []),
-    ]);
-
-    const items = [];
-    for (const key of itemKeys) {
-      const baseItem = baseStack?.items.get(key);
-      const headItem = headStack?.items.get(key);
-
-      // Use normalized monthly_usd field set by indexReport
-      const baseVal = baseItem?.monthly_usd ?? 0;
-
-      // For unchanged stacks, use base cost for both head and base
-      const headVal = unchangedStacks.has(stackName)
-        ? baseVal
-        : (headItem?.monthly_usd ?? 0);
-
-      const itemDiff = headVal - baseVal;
-      if (itemDiff === 0) continue;
-
-      const logicalId = key;
-      const service = headItem?.service || baseItem?.service || 'Unknown';
-
-      items.push({
-        service,
-        logicalId,
-        cdkPath: headItem?.cdk_path || baseItem?.cdk_path || undefined,
-        base: baseVal,
-        head: headVal,
-        diff: itemDiff,
-        notes: headItem?.notes || baseItem?.notes || [],
-        stackName,
-        // Attach normalized cost breakdown data from the analyzer
-        breakdownBase: extractBreakdown(baseItem),
-        breakdownHead: extractBreakdown(headItem),
-      });
-    }
-
-    items.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
-
-    stacksDelta.push({
-      stackName,
-      base: baseTotal,
-      head: headTotal,
-      diff,
-      items,
-      unchanged: unchangedStacks.has(stackName),
-    });
+  const errors = [];
+  validateAgainstSchema(parsed, schema, '', errors);
+  if (errors.length > 0) {
+    throw new Error(
+      [`Invalid ${path.basename(filePath)}:`, ...errors.map((e) => `  - ${e}`)].join('\n')
+    );
   }
 
-  stacksDelta.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+  console.log(`[${tag}] ✓ ${description} is valid (keys: ${Object.keys(parsed).join(', ') || 'none'})`);
+  return parsed;
+}
 
-  // Recalculate total considering unchanged stacks
-  let totalBase = 0;
-  let totalHead = 0;
-  for (const stackDelta of stacksDelta) {
-    totalBase += stackDelta.base;
-    totalHead += stackDelta.head;
-  }
+/**
+ * Loads and validates the repository config file.
+ * Uses explicitPath when given, otherwise the first of CONFIG_FILE_NAMES found in workDir.
+ * Returns {} when no config file exists.
+ */
+function loadRepoConfig(workDir, explicitPath) {
+  return loadValidatedFile(workDir, explicitPath, CONFIG_FILE_NAMES, CONFIG_SCHEMA, 'CONFIG', 'Repository config');
+}
 
-  return {
-    total: {
-      base: totalBase,
-      head: totalHead,
-      diff: totalHead - totalBase,
+const USAGE_FILE_NAMES = ['.cloudcost-usage.yml', '.cloudcost-usage.yaml', '.cloudcost-usage.json'];
+
+/** Usage quantities the analyzer accepts, all per month unless noted. */
+const USAGE_QUANTITIES = [
+  'storage_gb',
+  'requests',
+  'invocations',
+  'duration_ms',
+  'data_transfer_gb',
+  'read_request_units',
+  'write_request_units',
+  'messages',
+];
+
+const USAGE_FILE_SCHEMA = {
+  version: 'usage_version',
+  stacks: {
+    '*': {
+      '*': Object.fromEntries(USAGE_QUANTITIES.map((quantity) => [quantity, 'amount'])),
     },
-    stacks: stacksDelta,
-    unchangedStacksCount: unchangedStacks.size,
-  };
-}
+  },
+};
 
-function formatUsd(value) {
-  return `$${value.toFixed(2)}`;
+/**
+ * Loads and validates the usage assumptions file:
+ *   stacks: { <stack pattern>: { <logical ID or CDK path pattern>: { <quantity>: n } } }
+ */
+function loadUsageFile(workDir, explicitPath) {
+  return loadValidatedFile(workDir, explicitPath, USAGE_FILE_NAMES, USAGE_FILE_SCHEMA, 'USAGE', 'Usage file');
 }
 
-function logCostEstimate(report, label) {
-  try {
-    if (!report) {
-      console.log(`[${label}] No report data available`);
-      return;
-    }
-    
-    const total = report.grand_total_usd || 0;
-    console.log(`[${label}] Cost Estimate: ${formatUsd(total)}`);
-    
-    const resources = [];
-    const stacks = report.stacks || [];
-    
-    for (const stack of stacks) {
-      const items = stack.items || [];
-      for (const item of items) {
-        if (item && item.service && item.logical_id) {
-          resources.push({
-            stack: stack.name || 'unknown',
-            service: item.service,
-            logicalId: item.logical_id,
-            cost: item.monthly_usd || 0,
-          });
+/**
+ * Resolves the usage file's patterns against the resources in each stack's
+ * template. Returns Map<stackName, Map<logicalId, quantities>>; when several
+ * entries match a resource, later entries override earlier ones per quantity.
+ */
+function resolveUsageAssumptions(usage, stacks) {
+  const resolved = new Map();
+  const entries = Object.entries(usage.stacks || {});
+  if (entries.length === 0) return resolved;
+
+  const loadResources = createTemplateResourceLoader();
+  for (const stackName of stacks.keys()) {
+    const stackEntries = entries.filter(([stackPattern]) => matchesPattern(stackName, stackPattern));
+    if (stackEntries.length === 0) continue;
+
+    for (const [logicalId, resource] of Object.entries(loadResources(stacks, stackName))) {
+      const cdkPath = resource.Metadata && resource.Metadata['aws:cdk:path'];
+      const quantities = {};
+      for (const [, resourcePatterns] of stackEntries) {
+        for (const [resourcePattern, values] of Object.entries(resourcePatterns)) {
+          if (matchesPattern(logicalId, resourcePattern) || matchesPattern(cdkPath, resourcePattern)) {
+            Object.assign(quantities, values);
+          }
         }
       }
-    }
-    
-    resources.sort((a, b) => b.cost - a.cost);
-    
-    console.log(`[${label}] Resource Breakdown (${resources.length} resources):`);
-    if (resources.length === 0) {
-      console.log(`[${label}]   No resources found`);
-    } else {
-      for (const res of resources) {
-        console.log(`[${label}]   ${res.service} | ${res.logicalId} | ${res.stack} | ${formatUsd(res.cost)}`);
-      }
-    }
-    
-    // Force flush to ensure logs appear
-    if (process.stdout.flush) process.stdout.flush();
-  } catch (error) {
-    console.error(`[${label}] Error logging cost estimate: ${error.message}`);
-    if (error.stack) {
-      console.error(`[${label}] Stack: ${error.stack}`);
+      if (Object.keys(quantities).length === 0) continue;
+      if (!resolved.has(stackName)) resolved.set(stackName, new Map());
+      resolved.get(stackName).set(logicalId, quantities);
     }
   }
+  return resolved;
 }
 
-function renderMarkdown(delta, commentTitle) {
-  const lines = [];
-  lines.push('<!-- cloudcostgh-comment -->');
-  lines.push(`## ${commentTitle}`);
-  lines.push('');
-
-  // ─────────────────────────────────────────────────────────────────────────
-  // Section 1: Grand Total Cost Delta
-  // ─────────────────────────────────────────────────────────────────────────
-  const total = delta.total;
-  lines.push('### Grand Total Cost Delta');
-  lines.push('');
-  lines.push('| Base | Head | Δ |');
-  lines.push('|------|------|---|');
-  lines.push(
-    `| ${formatUsd(total.base)} | ${formatUsd(total.head)} | ${formatUsd(total.diff)} |`,
-  );
-  lines.push('');
-
-  // ─────────────────────────────────────────────────────────────────────────
-  // Section 2: Per-Stack Cost Delta (only stacks with |Δ| > 0)
-  // ─────────────────────────────────────────────────────────────────────────
-  const stacksWithDelta = (delta.stacks || [])
-    .filter((s) => s.diff !== 0)
-    .sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+/**
+ * Writes resolved assumptions as the file passed to --usage-file:
+ * `{ version: 1, templates: { <template path as passed to --stack>:
+ * { <logical ID>: { <quantity>: number } } } }`. Only analyzers whose
+ * --help lists --usage-file receive it (see detectAnalyzerFeatures).
+ */
+function writeAnalyzerUsageFile(filePath, assumptions, stacks) {
+  const templates = {};
+  for (const [stackName, resources] of assumptions) {
+    const stack = stacks.get(stackName);
+    if (stack) templates[stack.templatePath] = Object.fromEntries(resources);
+  }
+  fs.writeFileSync(filePath, JSON.stringify({ version: 1, templates }, null, 2));
+  return filePath;
+}
 
-  lines.push('### Per-Stack Cost Delta');
-  lines.push('');
+function parseBooleanInput(value, inputName) {
+  const normalized = value.trim().toLowerCase();
+  if (normalized === 'true') return true;
+  if (normalized === 'false') return false;
+  throw new Error(`Invalid input ${inputName}: "${value}" (allowed values: true, false)`);
+}
 
-  if (stacksWithDelta.length === 0) {
-    lines.push('_No stacks with non-zero cost delta._');
-    lines.push('');
-  } else {
-    lines.push('| Stack | Base | Head | Δ |');
-    lines.push('|-------|------|------|---|');
-    for (const stack of stacksWithDelta) {
-      lines.push(
-        `| ${stack.stackName} | ${formatUsd(stack.base)} | ${formatUsd(stack.head)} | ${formatUsd(stack.diff)} |`,
-      );
+/**
+ * Merges action inputs (CLOUDCOST_* env vars) over the repository config and
+ * built-in defaults. Empty inputs fall through to the config file.
+ */
+function resolveSettings(repoConfig, env) {
+  const input = (name) => {
+    const value = env[`CLOUDCOST_${name.toUpperCase()}`];
+    return value !== undefined && value.trim() !== '' ? value.trim() : undefined;
+  };
+  const validatedInput = (name, validator) => {
+    const value = input(name);
+    if (value === undefined) return undefined;
+    const problem = FIELD_VALIDATORS[validator](value);
+    if (problem) {
+      throw new Error(`Invalid input ${name}: "${value}" (${problem})`);
     }
-    lines.push('');
-  }
-
-  // ─────────────────────────────────────────────────────────────────────────
-  // Section 3: Per-Stack Cost Breakdown (only stacks with |Δ| > 0)
-  // ─────────────────────────────────────────────────────────────────────────
-
-  /**
-   * Merge base/head breakdown arrays into a single list keyed by component
-   * name (or a best-effort synthetic key), computing base/head/diff for
-   * each cost driver.
-   */
-  function mergeBreakdowns(baseArr, headArr) {
-    const map = new Map();
-
-    const addEntries = (arr, type) => {
-      if (!Array.isArray(arr)) return;
-      for (const entry of arr) {
-        if (!entry) continue;
-        const key =
-          entry.name ||
-          `${entry.units || ''}|${entry.ratePerUnit ?? ''}`;
-
-        if (!map.has(key)) {
-          map.set(key, {
-            name: entry.name || 'Unknown',
-            units: entry.units || '',
-            ratePerUnit:
-              typeof entry.ratePerUnit === 'number' &&
-              Number.isFinite(entry.ratePerUnit)
-                ? entry.ratePerUnit
-                : 0,
-            base: 0,
-            head: 0,
-          });
-        }
+    return value;
+  };
+  const booleanInput = (name) => {
+    const value = input(name);
+    return value === undefined ? undefined : parseBooleanInput(value, name);
+  };
 
-        const agg = map.get(key);
-        const cost =
-          typeof entry.monthlyCost === 'number' &&
-          Number.isFinite(entry.monthlyCost)
-            ? entry.monthlyCost
-            : 0;
-
-        if (type === 'base') {
-          agg.base += cost;
-        } else if (type === 'head') {
-          agg.head += cost;
-        }
-      }
-    };
+  const configBudget = repoConfig.budget || {};
+  const stacks = repoConfig.stacks || {};
 
-    addEntries(baseArr, 'base');
-    addEntries(headArr, 'head');
-
-    const merged = [];
-    for (const value of map.values()) {
-      const diff = value.head - value.base;
-      // Skip purely zero rows
-      if (diff === 0 && value.base === 0 && value.head === 0) continue;
-      merged.push({
-        name: value.name,
-        units: value.units,
-        ratePerUnit: value.ratePerUnit,
-        base: value.base,
-        head: value.head,
-        diff,
-      });
+  const stackLimits = new Map();
+  for (const [stackName, amount] of Object.entries(configBudget.stack_limits || {})) {
+    stackLimits.set(stackName, amount);
+  }
+  for (const [stackName, stackConfig] of Object.entries(stacks)) {
+    if (stackConfig.max_increase !== undefined) {
+      stackLimits.set(stackName, stackConfig.max_increase);
     }
-
-    merged.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
-    return merged;
+  }
+  for (const [stackName, amount] of parseStackLimits(input('budget_stack_limits'), 'budget_stack_limits')) {
+    stackLimits.set(stackName, amount);
   }
 
-  // Build breakdown view only for stacks that have non-zero delta
-  const stacksWithBreakdown = [];
-  for (const stack of stacksWithDelta) {
-    const resourcesWithBreakdown = [];
-    for (const item of stack.items || []) {
-      // Include resources that have breakdown data (even if item-level diff is 0,
-      // the stack-level diff is non-zero so we still want to show context)
-      const hasBreakdown =
-        (item.breakdownBase && item.breakdownBase.length > 0) ||
-        (item.breakdownHead && item.breakdownHead.length > 0);
-      if (!hasBreakdown) continue;
-      resourcesWithBreakdown.push(item);
-    }
-    if (resourcesWithBreakdown.length > 0) {
-      stacksWithBreakdown.push({
-        stackName: stack.stackName,
-        resources: resourcesWithBreakdown,
-      });
+  // update_existing_comment and collapse_old_comments predate previous_comments
+  // and only pick its default
+  const updateExisting = booleanInput('update_existing_comment') ?? repoConfig.update_existing_comment ?? true;
+  const collapseOldComments = booleanInput('collapse_old_comments') ?? repoConfig.collapse_old_comments ?? false;
+
+  let compareRegionsInput;
+  if (input('compare_regions')) {
+    compareRegionsInput = input('compare_regions').split(/[\n,]/).map((r) => r.trim()).filter(Boolean);
+    const problem = FIELD_VALIDATORS.regions(compareRegionsInput);
+    if (problem) {
+      throw new Error(`Invalid input compare_regions: "${input('compare_regions')}" (${problem})`);
     }
   }
 
-  lines.push('### Per-Stack Cost Breakdown');
-  lines.push('');
+  const maxIncreaseUsd = parseLimit(input('budget_max_increase'), 'budget_max_increase');
+  const maxIncreasePct = parseLimit(input('budget_max_increase_percent'), 'budget_max_increase_percent');
 
-  if (stacksWithBreakdown.length === 0) {
-    lines.push(
-      '_No detailed cost breakdown data available for stacks with cost deltas._',
-    );
-    lines.push('');
-    return lines.join('\n');
-  }
+  return {
+    region: validatedInput('region', 'region') ?? repoConfig.region ?? 'us-east-1',
+    usageProfile: validatedInput('usage_profile', 'usage_profile') ?? repoConfig.usage_profile ?? 'small',
+    compareRegions: compareRegionsInput ?? repoConfig.compare_regions ?? [],
+    analyzerVersion: validatedInput('analyzer_version', 'analyzer_version') ?? repoConfig.analyzer_version ?? MIN_ANALYZER_VERSION,
+    analyzerSha256: validatedInput('analyzer_sha256', 'sha256') ?? repoConfig.analyzer_sha256,
+    analyzerPath: input('analyzer_path') ?? repoConfig.analyzer_path,
+    backendUrl: validatedInput('backend_url', 'url') ?? repoConfig.backend_url ?? DEFAULT_BACKEND_URL,
+    commentTitle: input('comment_title') ?? repoConfig.comment_title ?? 'Cloud Cost Impact',
+    commentKey: validatedInput('comment_key', 'comment_key') ?? repoConfig.comment_key,
+    previousComments:
+      validatedInput('previous_comments', 'previous_comments') ??
+      repoConfig.previous_comments ??
+      (updateExisting ? 'update' : collapseOldComments ? 'collapse' : 'keep'),
+    prComment: booleanInput('pr_comment') ?? repoConfig.pr_comment ?? true,
+    checkRun: booleanInput('check_run') ?? repoConfig.check_run ?? false,
+    jobSummary: booleanInput('job_summary') ?? repoConfig.job_summary ?? true,
+    reportDir: input('report_dir') ?? repoConfig.report_dir,
+    baseRef: input('base_ref'),
+    headRef: input('head_ref'),
+    usageFile: input('usage_file') ?? repoConfig.usage_file,
+    sarifWarningIncrease:
+      parseLimit(input('sarif_warning_increase'), 'sarif_warning_increase') ?? repoConfig.sarif_warning_increase ?? 10,
+    sarifErrorIncrease: parseLimit(input('sarif_error_increase'), 'sarif_error_increase') ?? repoConfig.sarif_error_increase,
+    enableUsageReporting: booleanInput('enable_usage_reporting') ?? repoConfig.enable_usage_reporting ?? false,
+    budget: {
+      maxIncreaseUsd: maxIncreaseUsd ?? configBudget.max_increase,
+      maxIncreasePct: maxIncreasePct ?? configBudget.max_increase_percent,
+      stackLimits,
+    },
+    ignoreStacks: repoConfig.ignore_stacks || [],
+    source: validatedInput('source', 'source') ?? repoConfig.source ?? 'auto',
+    templatePaths: input('template_paths')
+      ? input('template_paths').split(/[\n,]/).map((p) => p.trim()).filter(Boolean)
+      : repoConfig.template_paths || [],
+    stacks,
+  };
+}
 
-  lines.push(
-    'The tables below show cost drivers for resources in stacks with non-zero monthly cost deltas.',
+/**
+ * Matches a name against a pattern where `*` matches any run of characters.
+ */
+function matchesPattern(value, pattern) {
+  if (!value) return false;
+  const regex = new RegExp(
+    `^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
   );
-  lines.push('');
+  return regex.test(value);
+}
 
-  const MAX_ROWS_PER_STACK = 30;
+function isStackIgnored(settings, stackName) {
+  return settings.ignoreStacks.some((pattern) => matchesPattern(stackName, pattern));
+}
 
-  for (const stack of stacksWithBreakdown) {
-    lines.push(`#### Stack: ${stack.stackName}`);
-    lines.push('');
-    lines.push(
-      '| Resource | Component | Units | Rate / Unit | Base Monthly | Head Monthly | Δ |',
-    );
-    lines.push(
-      '|----------|-----------|-------|-------------|--------------|--------------|---|',
-    );
+/**
+ * Returns the region and usage profile to price a stack with. The region is
+ * the per-stack override from the repository config, else the region of the
+ * stack's CDK environment (`assemblyStack`), else the `region` setting.
+ */
+function getStackSettings(settings, stackName, assemblyStack) {
+  const stackConfig = settings.stacks[stackName] || {};
+  return {
+    region: stackConfig.region || assemblyStack?.region || settings.region,
+    usageProfile: stackConfig.usage_profile || settings.usageProfile,
+    ignoreResources: stackConfig.ignore_resources || [],
+  };
+}
 
-    const rows = [];
-
-    for (const res of stack.resources) {
-      const merged = mergeBreakdowns(res.breakdownBase, res.breakdownHead);
-      const resourceLabel = `${res.service} / ${res.logicalId}`;
-      for (const m of merged) {
-        rows.push({
-          resource: resourceLabel,
-          component: m.name,
-          units: m.units || '',
-          ratePerUnit: m.ratePerUnit,
-          base: m.base,
-          head: m.head,
-          diff: m.diff,
-        });
-      }
+/**
+ * Removes ignored stacks and resources from an analyzer report, adjusting
+ * stack and grand totals so they only reflect what is still priced.
+ */
+function applyIgnores(report, settings) {
+  const stacks = [];
+  for (const stack of report.stacks || []) {
+    const stackName = stack.display_name || normalizeStackName(stack.name || '');
+    if (isStackIgnored(settings, stackName)) {
+      console.log(`[CONFIG] Ignoring stack "${stackName}"`);
+      continue;
     }
 
-    rows.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
-    const limitedRows = rows.slice(0, MAX_ROWS_PER_STACK);
+    const { ignoreResources } = getStackSettings(settings, stackName);
+    if (ignoreResources.length === 0) {
+      stacks.push(stack);
+      continue;
+    }
 
-    if (limitedRows.length === 0) {
-      lines.push(
-        '| _No detailed breakdown data available for resources in this stack._ |  |  |  |  |  |  |',
-      );
-    } else {
-      for (const row of limitedRows) {
-        lines.push(
-          `| ${row.resource} | ${row.component} | ${row.units} | ${
-            row.ratePerUnit || ''
-          } | ${formatUsd(row.base)} | ${formatUsd(row.head)} | ${formatUsd(row.diff)} |`,
-        );
-      }
-      if (rows.length > MAX_ROWS_PER_STACK) {
-        lines.push(
-          `| _+${rows.length - MAX_ROWS_PER_STACK} additional breakdown row(s) omitted for brevity_ |  |  |  |  |  |  |`,
-        );
+    let removedCost = 0;
+    const items = [];
+    for (const item of stack.items || []) {
+      const ids = [item.LogicalID, item.logical_id, item.cdk_path].filter(Boolean);
+      if (ids.some((id) => ignoreResources.some((pattern) => matchesPattern(id, pattern)))) {
+        const cost = item['Est. Monthly Cost'] ?? item.monthly_usd;
+        removedCost += typeof cost === 'number' && Number.isFinite(cost) ? cost : 0;
+        console.log(`[CONFIG] Ignoring resource "${ids[0]}" in stack "${stackName}"`);
+        continue;
       }
+      items.push(item);
     }
-
-    lines.push('');
+    stacks.push({
+      ...stack,
+      items,
+      total_monthly_usd: (stack.total_monthly_usd ?? 0) - removedCost,
+    });
   }
 
-  return lines.join('\n');
+  return {
+    ...report,
+    stacks,
+    grand_total_usd: stacks.reduce((sum, s) => sum + (s.total_monthly_usd ?? 0), 0),
+  };
 }
 
-async function upsertPrComment(octokit, commentBody, updateExisting, commentTitle) {
+/**
+ * Reads the cloud assembly in cdkOutPath and returns a Map of display name ->
+ *   { displayName, artifactId, templatePath, account, region }
+ *
+ * Follows nested assemblies (`cdk:cloud-assembly` artifacts, produced by
+ * Stage / CDK Pipelines) so stacks in assembly-* subdirectories are included.
+ * Display names take the `Stage/Stack` form for staged stacks. Directories
+ * without a manifest.json (plain CloudFormation mode) fall back to the
+ * top-level *.template.json files, named after the file.
+ */
+function readCloudAssembly(cdkOutPath) {
+  const stacks = new Map();
+  if (!fs.existsSync(cdkOutPath)) {
+    console.warn(`[ASSEMBLY] cdk.out directory not found: ${cdkOutPath}`);
+    return stacks;
+  }
+
+  const manifestPath = path.join(cdkOutPath, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    console.log(`[ASSEMBLY] No manifest.json in ${cdkOutPath}; using top-level template files`);
+    for (const file of fs.readdirSync(cdkOutPath).filter((f) => f.endsWith('.template.json'))) {
+      const displayName = file.replace(/\.template\.json$/, '');
+      stacks.set(displayName, {
+        displayName,
+        artifactId: displayName,
+        templatePath: path.join(cdkOutPath, file),
+        account: null,
+        region: null,
+        metadata: {},
+      });
+    }
+    return stacks;
+  }
+
+  const visit = (assemblyDir, depth) => {
+    const manifestFile = path.join(assemblyDir, 'manifest.json');
+    if (!fs.existsSync(manifestFile)) {
+      console.warn(`[ASSEMBLY] Nested assembly has no manifest.json: ${assemblyDir}`);
+      return;
+    }
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    } catch (err) {
+      console.warn(`[ASSEMBLY] Could not parse ${manifestFile}: ${err.message}`);
+      return;
+    }
+
+    for (const [artifactId, artifact] of Object.entries(manifest.artifacts || {})) {
+      const properties = artifact.properties || {};
+      if (artifact.type === 'aws:cloudformation:stack') {
+        if (!properties.templateFile) continue;
+        const displayName = artifact.displayName || artifactId;
+        const env = /^aws:\/\/([^/]+)\/(.+)$/.exec(artifact.environment || '');
+        const account = env && !env[1].startsWith('unknown-') ? env[1] : null;
+        const region = env && !env[2].startsWith('unknown-') ? env[2] : null;
+        stacks.set(displayName, {
+          displayName,
+          artifactId,
+          templatePath: path.join(assemblyDir, properties.templateFile),
+          account,
+          region,
+          metadata: artifact.metadata || {},
+        });
+        console.log(`[ASSEMBLY] ${'  '.repeat(depth)}Stack ${displayName} (account: ${account || 'any'}, region: ${region || 'any'})`);
+      } else if (artifact.type === 'cdk:cloud-assembly' && properties.directoryName) {
+        console.log(`[ASSEMBLY] ${'  '.repeat(depth)}Nested assembly ${properties.displayName || artifactId}`);
+        visit(path.join(assemblyDir, properties.directoryName), depth + 1);
+      }
+    }
+  };
+  visit(cdkOutPath, 0);
+
+  console.log(`[ASSEMBLY] Found ${stacks.size} stack(s) in ${cdkOutPath}`);
+  return stacks;
+}
+
+const ASSET_HASH_PATTERN = /\b[a-f0-9]{64}\b/g;
+
+/**
+ * Serializes a value as JSON with object keys sorted at every level, so two
+ * templates that differ only in key order produce the same string.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Returns a copy of a CloudFormation template without the parts CDK changes
+ * on every synth but that never affect cost:
+ *   - AWS::CDK::Metadata resources and the CDKMetadataAvailable condition
+ *   - aws:cdk:* and aws:asset:* resource metadata
+ *   - the BootstrapVersion parameter and CheckBootstrapVersion rule
+ *   - asset hashes (64-character hex strings) inside S3 keys, image URIs, etc.
+ */
+function canonicalizeTemplate(template) {
+  const stripAssetHashes = (value) => {
+    if (typeof value === 'string') return value.replace(ASSET_HASH_PATTERN, '<asset-hash>');
+    if (Array.isArray(value)) return value.map(stripAssetHashes);
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        result[key.replace(ASSET_HASH_PATTERN, '<asset-hash>')] = stripAssetHashes(child);
+      }
+      return result;
+    }
+    return value;
+  };
+
+  const result = stripAssetHashes(template);
+  const dropIfEmpty = (key) => {
+    if (result[key] && Object.keys(result[key]).length === 0) delete result[key];
+  };
+
+  for (const [logicalId, resource] of Object.entries(result.Resources || {})) {
+    if (resource && resource.Type === 'AWS::CDK::Metadata') {
+      delete result.Resources[logicalId];
+      continue;
+    }
+    if (resource && resource.Metadata && typeof resource.Metadata === 'object') {
+      for (const key of Object.keys(resource.Metadata)) {
+        if (key.startsWith('aws:cdk:') || key.startsWith('aws:asset:')) {
+          delete resource.Metadata[key];
+        }
+      }
+      if (Object.keys(resource.Metadata).length === 0) delete resource.Metadata;
+    }
+  }
+
+  if (result.Conditions) delete result.Conditions.CDKMetadataAvailable;
+  if (result.Parameters) delete result.Parameters.BootstrapVersion;
+  if (result.Rules) delete result.Rules.CheckBootstrapVersion;
+  ['Conditions', 'Parameters', 'Rules'].forEach(dropIfEmpty);
+
+  return result;
+}
+
+/**
+ * Computes SHA-256 hashes of the canonical form of every stack template in a
+ * cloud assembly (see canonicalizeTemplate), so CDK bookkeeping changes alone
+ * do not mark a stack as changed
+ * Returns a Map of display name -> hash
+ */
+function computeTemplateHashes(stacks) {
+  console.log(`[HASH] Computing template hashes for ${stacks.size} stack(s)`);
+  const hashes = new Map();
+
+  for (const stack of stacks.values()) {
+    try {
+      const content = fs.readFileSync(stack.templatePath, 'utf8');
+      let canonical;
+      try {
+        canonical = canonicalJson(canonicalizeTemplate(JSON.parse(content)));
+      } catch (parseError) {
+        console.warn(`[HASH] Could not parse ${stack.templatePath}, hashing raw bytes: ${parseError.message}`);
+        canonical = content;
+      }
+      const hash = crypto.createHash('sha256').update(canonical).digest('hex');
+      hashes.set(stack.displayName, hash);
+      console.log(`[HASH] ${stack.displayName}: ${hash.substring(0, 16)}...`);
+    } catch (err) {
+      console.warn(`[HASH] Failed to hash ${stack.templatePath}: ${err.message}`);
+    }
+  }
+
+  console.log(`[HASH] Computed hashes for ${hashes.size} stacks`);
+  return hashes;
+}
+
+/**
+ * Tags each stack in an analyzer report with its cloud assembly display name,
+ * account and region, matching report stacks to assembly stacks by template
+ * path or template file name.
+ */
+function annotateReportStacks(report, stacks) {
+  const byPath = new Map();
+  const byFile = new Map();
+  for (const stack of stacks.values()) {
+    byPath.set(path.resolve(stack.templatePath), stack);
+    const fileName = normalizeStackName(path.basename(stack.templatePath));
+    byFile.set(fileName, byFile.has(fileName) ? null : stack);
+  }
+
+  for (const reportStack of report.stacks || []) {
+    const name = reportStack.name || '';
+    const match =
+      stacks.get(name) ||
+      byPath.get(path.resolve(name)) ||
+      byFile.get(normalizeStackName(name)) ||
+      null;
+    if (!match) {
+      console.warn(`[ASSEMBLY] Could not match report stack "${name}" to a cloud assembly stack`);
+      continue;
+    }
+    reportStack.display_name = match.displayName;
+    reportStack.account = match.account;
+    reportStack.region = match.region;
+  }
+  return report;
+}
+
+const ANALYZER_RELEASE_BASE_URL = 'https://github.com/odrori1997/cloudcost-analyzer/releases/download';
+const DEFAULT_BACKEND_URL = 'https://cloudcost-action-api.vercel.app/';
+/** Oldest analyzer release that reads the API key from CLOUDCOST_API_KEY. */
+const MIN_ANALYZER_VERSION = 'v0.2.0';
+/** Platforms the published `analyzer` release asset runs on; it is a Linux build. */
+const ANALYZER_RELEASE_PLATFORMS = ['linux'];
+/** First bytes of every Linux executable, checked when no checksum is published. */
+const ELF_MAGIC = Buffer.from([0x7f, 0x45, 0x4c, 0x46]);
+const DOWNLOAD_ATTEMPTS = 3;
+const DOWNLOAD_TIMEOUT_MS = 120000;
+const DOWNLOAD_RETRY_DELAY_MS = 2000;
+
+function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Downloads url into a Buffer, retrying network errors, timeouts, 5xx, 408
+ * and 429 responses with exponential backoff. Other HTTP errors fail fast.
+ */
+async function downloadWithRetry(url, label) {
+  let lastError;
+  for (let attempt = 1; attempt <= DOWNLOAD_ATTEMPTS; attempt++) {
+    const attemptStartTime = Date.now();
+    console.log(`[DOWNLOAD] ${label}: attempt ${attempt}/${DOWNLOAD_ATTEMPTS} - GET ${url}`);
+    try {
+      const response = await fetch(url, {
+        redirect: 'follow',
+        signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw error;
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      console.log(`[DOWNLOAD] ${label}: ✓ received ${buffer.length} bytes (took ${Date.now() - attemptStartTime}ms)`);
+      return buffer;
+    } catch (err) {
+      lastError = err.name === 'TimeoutError'
+        ? new Error(`timed out after ${DOWNLOAD_TIMEOUT_MS}ms`)
+        : err;
+      console.warn(`[DOWNLOAD] ${label}: attempt ${attempt} failed: ${lastError.message}`);
+      if (err.retryable === false || attempt === DOWNLOAD_ATTEMPTS) break;
+      const delay = DOWNLOAD_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      console.log(`[DOWNLOAD] ${label}: retrying in ${delay}ms...`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+  const error = new Error(`Analyzer download failed: could not fetch ${label} from ${url} (${lastError.message})`);
+  error.status = lastError.status;
+  throw error;
+}
+
+/**
+ * Reads the expected SHA-256 from a sha256sum-style file ("<hex>  analyzer" or just "<hex>").
+ */
+function parseChecksum(text) {
+  const match = /\b([a-f0-9]{64})\b/i.exec(text || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Returns a path to a verified analyzer binary for `version`.
+ *
+ * Binaries are cached per version and platform under RUNNER_TOOL_CACHE, which
+ * persists across runs on self-hosted runners. A cached copy is re-hashed and
+ * only used if it still matches its recorded checksum. Fresh downloads are
+ * verified against `pinnedSha256` when given, otherwise against the
+ * `analyzer.sha256` asset published with the release. Releases published
+ * without that asset still install, with a warning, as long as the download
+ * is an ELF executable; the hash is then recorded on first use. Releases only
+ * ship a Linux binary, so other platforms fail before anything is downloaded.
+ */
+async function installAnalyzer(version, pinnedSha256) {
+  if (!ANALYZER_RELEASE_PLATFORMS.includes(process.platform)) {
+    throw new Error(
+      `Unsupported platform: the CloudCost analyzer ${version} is only published for Linux, not ${process.platform}. ` +
+      'Run on a Linux runner, or locally inside a Linux container or VM.'
+    );
+  }
+  const cacheRoot = process.env.RUNNER_TOOL_CACHE || path.join(os.homedir(), '.cache');
+  const cacheDir = path.join(cacheRoot, 'cloudcost-analyzer', version, `${process.platform}-${process.arch}`);
+  const analyzerPath = path.join(cacheDir, 'analyzer');
+  const checksumPath = `${analyzerPath}.sha256`;
+  const expectedPinned = pinnedSha256 ? pinnedSha256.toLowerCase() : null;
+
+  console.log(`[DOWNLOAD] Analyzer cache directory: ${cacheDir}`);
+  if (fs.existsSync(analyzerPath) && fs.existsSync(checksumPath)) {
+    const recorded = parseChecksum(fs.readFileSync(checksumPath, 'utf8'));
+    const actual = sha256Hex(fs.readFileSync(analyzerPath));
+    if (recorded && actual === recorded && (!expectedPinned || actual === expectedPinned)) {
+      console.log(`[DOWNLOAD] ✓ Using cached analyzer ${version} (sha256: ${actual})`);
+      return analyzerPath;
+    }
+    console.warn('[DOWNLOAD] Cached analyzer does not match its checksum; downloading again');
+  }
+
+  const analyzerUrl = `${ANALYZER_RELEASE_BASE_URL}/${version}/analyzer`;
+  let expected = expectedPinned;
+  if (expected) {
+    console.log(`[DOWNLOAD] Verifying against pinned checksum: ${expected}`);
+  } else {
+    let checksumText = null;
+    try {
+      checksumText = (await downloadWithRetry(`${analyzerUrl}.sha256`, 'checksum')).toString('utf8');
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      core.warning(
+        `Analyzer ${version} has no published analyzer.sha256, so its download cannot be verified against a release checksum. ` +
+        'Set analyzer_sha256 to pin the binary.'
+      );
+    }
+    expected = checksumText === null ? null : parseChecksum(checksumText);
+    if (checksumText !== null && !expected) {
+      throw new Error(
+        `Analyzer verification failed: ${analyzerUrl}.sha256 does not contain a SHA-256 checksum`
+      );
+    }
+    console.log(`[DOWNLOAD] Published checksum: ${expected}`);
+  }
+
+  const binary = await downloadWithRetry(analyzerUrl, 'analyzer binary');
+  const actual = sha256Hex(binary);
+  if (expected) {
+    if (actual !== expected) {
+      throw new Error(
+        `Analyzer verification failed: SHA-256 of the downloaded binary (${actual}) does not match the expected checksum (${expected}) for ${version}`
+      );
+    }
+    console.log(`[DOWNLOAD] ✓ Checksum verified (sha256: ${actual})`);
+  } else {
+    // Without a checksum, at least refuse to run an error page or truncated file
+    if (binary.length < 4 || !binary.subarray(0, 4).equals(ELF_MAGIC)) {
+      throw new Error(
+        `Analyzer verification failed: the download from ${analyzerUrl} is not an ELF executable (${binary.length} bytes)`
+      );
+    }
+    console.log(`[DOWNLOAD] Unverified analyzer ${version} has sha256 ${actual}; pin it with analyzer_sha256: ${actual}`);
+  }
+
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const partialPath = `${analyzerPath}.${process.pid}.partial`;
+  fs.writeFileSync(partialPath, binary, { mode: 0o755 });
+  fs.renameSync(partialPath, analyzerPath);
+  fs.writeFileSync(checksumPath, `${actual}  analyzer\n`);
+  console.log(`[DOWNLOAD] ✓ Analyzer ${version} cached at ${analyzerPath}`);
+  return analyzerPath;
+}
+
+/**
+ * Returns the analyzer to run: the local binary at `settings.analyzerPath`
+ * (resolved against workDir) when set, which needs no network and works on
+ * any platform it was built for, otherwise the verified release download.
+ * A local binary is checked against `analyzerSha256` when one is pinned.
+ */
+async function resolveAnalyzer(settings, workDir) {
+  if (!settings.analyzerPath) {
+    return installAnalyzer(settings.analyzerVersion, settings.analyzerSha256);
+  }
+  const analyzerPath = path.resolve(workDir, settings.analyzerPath);
+  if (!fs.existsSync(analyzerPath)) {
+    throw new Error(`Analyzer binary not found at analyzer_path: ${analyzerPath}`);
+  }
+  if (settings.analyzerSha256) {
+    const actual = sha256Hex(fs.readFileSync(analyzerPath));
+    if (actual !== settings.analyzerSha256.toLowerCase()) {
+      throw new Error(
+        `Analyzer verification failed: SHA-256 of ${analyzerPath} (${actual}) does not match analyzer_sha256 (${settings.analyzerSha256})`
+      );
+    }
+  }
+  console.log(`[DOWNLOAD] Using local analyzer at ${analyzerPath}; nothing is downloaded`);
+  return analyzerPath;
+}
+
+/**
+ * Reads which optional features an analyzer binary supports from its
+ * `--help` output, since older releases reject flags they do not know.
+ * Anything the help text does not mention is treated as unsupported.
+ */
+function detectAnalyzerFeatures(analyzerPath) {
+  let help = '';
+  try {
+    help = execSync(`"${analyzerPath}" --help`, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: 30000,
+    });
+  } catch (err) {
+    // Some CLIs exit non-zero after printing their help
+    help = `${err.stdout || ''}${err.stderr || ''}`;
+  }
+  const features = {
+    usageFile: /--usage-file\b/.test(help),
+    apiKeyEnv: /\bCLOUDCOST_API_KEY\b/.test(help),
+  };
+  console.log(`[ANALYZER] Supported optional features: ${JSON.stringify(features)}`);
+  return features;
+}
+
+function hasAwsCredentials() {
+  const env = process.env;
+  return !!(
+    env.AWS_ACCESS_KEY_ID ||
+    env.AWS_ROLE_ARN ||
+    env.AWS_WEB_IDENTITY_TOKEN_FILE
+  );
+}
+
+/** Runs the latest CDK CLI through npx. */
+const CDK_CLI_COMMAND = 'npx --yes aws-cdk@latest';
+
+/**
+ * Installs the CDK CLI into npx's cache before head and base synthesize in
+ * parallel. Two npx processes installing it at once race on ~/.npm/_npx.
+ */
+async function installCdkCli(workDir) {
+  console.log('[CDK] Installing the CDK CLI before synthesizing...');
+  await runCmdAsync(`${CDK_CLI_COMMAND} --version`, { cwd: workDir, prefix: 'CDK' });
+}
+
+/**
+ * Determines the CDK CLI command to use based on the user's repository.
+ * Uses the latest CDK CLI, with two modes:
+ * - If AWS credentials are present: run with lookups enabled
+ * - If no credentials: run with --no-lookups (requires committed cdk.context.json)
+ */
+function getCdkSynthCommand(workDir) {
+  const hasCreds = hasAwsCredentials();
+  if (hasCreds) {
+    console.log('[CDK] AWS credentials detected; running synth with lookups enabled');
+    return `${CDK_CLI_COMMAND} synth --quiet`;
+  } else {
+    console.log('[CDK] No AWS credentials detected; running synth with --no-lookups');
+    console.log('[CDK] To use lookups without credentials, commit cdk.context.json from a prior synth run');
+    return `${CDK_CLI_COMMAND} synth --quiet --no-lookups`;
+  }
+}
+
+/**
+ * Runs a command and returns its trimmed stdout, letting stderr through to the logs.
+ */
+function captureCmd(cmd, options = {}) {
+  const output = runCmd(cmd, options);
+  return (output || '').trim();
+}
+
+/**
+ * Synthesizes the CDK app in appDir into outDir, leaving appDir's own cdk.out untouched.
+ * Throws with remediation steps when synth fails without AWS credentials.
+ */
+async function synthCdkApp(label, appDir, outDir) {
+  console.log(`[${label}] Running CDK synth in ${appDir}...`);
+  if (fs.existsSync(outDir)) {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+
+  const cdkCmd = `${getCdkSynthCommand(appDir)} --output "${outDir}"`;
+  const synthStartTime = Date.now();
+  try {
+    await runCmdAsync(cdkCmd, { cwd: appDir, prefix: label });
+    const synthDuration = Date.now() - synthStartTime;
+    console.log(`[${label}] ✓ CDK synth completed (took ${synthDuration}ms)`);
+  } catch (error) {
+    console.error(`[${label}] ✗ CDK synth failed: ${error.message}`);
+    if (!hasAwsCredentials()) {
+      throw new Error(
+        [
+          `CDK synth for the ${label.toLowerCase()} commit failed while running without AWS credentials.`,
+          'Your CDK app is using context lookups (for example Vpc.fromLookup) which require either:',
+          '  1) A committed cdk.context.json generated by running "cdk synth" locally with AWS credentials, or',
+          '  2) Refactoring your stacks to avoid CDK lookups (e.g. pass VPC / subnet IDs directly instead of using fromLookup).',
+          '',
+          'Once you have either committed cdk.context.json or removed lookups, re-run this workflow.'
+        ].join('\n')
+      );
+    }
+    throw error;
+  }
+
+  console.log(`[${label}] Verifying synth output...`);
+  if (!fs.existsSync(outDir)) {
+    console.error(`[${label}] ✗ Synth output does not exist: ${outDir}`);
+    throw new Error(`CDK synth did not create an output directory for ${label.toLowerCase()}`);
+  }
+  try {
+    console.log(`[${label}] Synth output contains: ${fs.readdirSync(outDir).join(', ')}`);
+  } catch (e) {
+    console.warn(`[${label}] Could not list synth output: ${e.message}`);
+  }
+}
+
+/**
+ * Short-form intrinsic functions (`!Ref`, `!Sub`, ...) mapped to their
+ * long-form JSON keys. Each tag can be written as a scalar, sequence or mapping.
+ */
+const CFN_INTRINSIC_TAGS = {
+  '!Ref': 'Ref',
+  '!Condition': 'Condition',
+  '!Base64': 'Fn::Base64',
+  '!Cidr': 'Fn::Cidr',
+  '!FindInMap': 'Fn::FindInMap',
+  '!GetAtt': 'Fn::GetAtt',
+  '!GetAZs': 'Fn::GetAZs',
+  '!ImportValue': 'Fn::ImportValue',
+  '!Join': 'Fn::Join',
+  '!Select': 'Fn::Select',
+  '!Split': 'Fn::Split',
+  '!Sub': 'Fn::Sub',
+  '!Transform': 'Fn::Transform',
+  '!And': 'Fn::And',
+  '!Equals': 'Fn::Equals',
+  '!If': 'Fn::If',
+  '!Not': 'Fn::Not',
+  '!Or': 'Fn::Or',
+};
+
+const CFN_YAML_SCHEMA = yaml.DEFAULT_SCHEMA.extend(
+  Object.entries(CFN_INTRINSIC_TAGS).flatMap(([tag, key]) =>
+    ['scalar', 'sequence', 'mapping'].map((kind) => new yaml.Type(tag, {
+      kind,
+      construct: (data) => {
+        // !GetAtt Resource.Attribute is shorthand for [Resource, Attribute]
+        if (tag === '!GetAtt' && kind === 'scalar') {
+          const dot = data.indexOf('.');
+          return { [key]: dot > 0 ? [data.substring(0, dot), data.substring(dot + 1)] : [data] };
+        }
+        return { [key]: data === null ? '' : data };
+      },
+    }))
+  )
+);
+
+const TEMPLATE_EXTENSIONS = ['.json', '.yml', '.yaml', '.template'];
+const TEMPLATE_SKIP_DIRS = new Set(['.git', 'node_modules', 'cdk.out', '.cloudcost']);
+
+// Same filename and content heuristics as scripts/collect-cfn-diff.js
+function looksLikeCFNPath(p) {
+  const lower = p.toLowerCase();
+  return (
+    lower.endsWith('.template.json') ||
+    lower.endsWith('.template.yml') ||
+    lower.endsWith('.template.yaml') ||
+    lower.endsWith('template.json') ||
+    lower.endsWith('template.yml') ||
+    lower.endsWith('template.yaml')
+  );
+}
+
+function sniffCFN(txt) {
+  if (!txt) return false;
+  const head = txt.slice(0, 4000);
+  return /AWSTemplateFormatVersion/.test(head) || /(^|\n)Resources\s*:\s*/.test(head) || /"Resources"\s*:/.test(head);
+}
+
+function isCloudFormationTemplate(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return false;
+  const resources = doc.Resources;
+  if (!resources || typeof resources !== 'object' || Array.isArray(resources)) return false;
+  return (
+    !!doc.AWSTemplateFormatVersion ||
+    Object.values(resources).some(
+      (r) => r && typeof r.Type === 'string' && /^(AWS|Custom|Alexa)::/.test(r.Type)
+    )
+  );
+}
+
+/**
+ * Parses a JSON or YAML CloudFormation template, expanding YAML short-form
+ * intrinsics to their JSON equivalents. Returns null for anything that is not
+ * a CloudFormation template.
+ */
+function parseCloudFormationTemplate(filePath, content) {
+  if (!looksLikeCFNPath(filePath) && !sniffCFN(content)) return null;
+  try {
+    const doc = filePath.toLowerCase().endsWith('.json')
+      ? JSON.parse(content)
+      : yaml.load(content, { schema: CFN_YAML_SCHEMA, filename: filePath });
+    return isCloudFormationTemplate(doc) ? doc : null;
+  } catch (err) {
+    console.warn(`[TEMPLATES] Could not parse ${filePath}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Derives a stable, filename-safe stack name from a template's path relative
+ * to the app directory, e.g. infra/network.yaml -> infra-network.
+ */
+function templateStackName(relativePath) {
+  return relativePath
+    .replace(/\.(template\.)?(json|ya?ml|template)$/i, '')
+    .replace(/[^A-Za-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Finds plain CloudFormation templates under rootDir and writes each one as
+ * `<stackName>.template.json` into outDir, the same layout a CDK synth
+ * produces, so the rest of the pipeline can treat them identically.
+ * `patterns` optionally restricts discovery to matching relative paths.
+ * Throws when two templates map to the same stack name.
+ */
+function collectCloudFormationTemplates(label, rootDir, outDir, patterns) {
+  console.log(`[${label}] Discovering CloudFormation templates in ${rootDir}...`);
+  const sources = new Map();
+  if (fs.existsSync(outDir)) {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+  if (!fs.existsSync(rootDir)) {
+    console.log(`[${label}] ${rootDir} does not exist; no templates on this side`);
+    return sources;
+  }
+
+  const found = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!TEMPLATE_SKIP_DIRS.has(entry.name)) walk(fullPath);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+      if (!TEMPLATE_EXTENSIONS.some((ext) => entry.name.toLowerCase().endsWith(ext))) continue;
+
+      const relativePath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+      if (patterns.length > 0 && !patterns.some((pattern) => matchesPattern(relativePath, pattern))) {
+        continue;
+      }
+
+      const template = parseCloudFormationTemplate(relativePath, fs.readFileSync(fullPath, 'utf8'));
+      if (!template) continue;
+
+      const stackName = templateStackName(relativePath);
+      // Names must stay stable between base and head, so a clash is an error
+      // rather than something to number away
+      if (sources.has(stackName)) {
+        throw new Error(
+          `CloudFormation templates ${sources.get(stackName)} and ${relativePath} both map to stack name ` +
+          `"${stackName}". Rename one of them, or narrow template_paths so only one is analyzed.`
+        );
+      }
+      fs.writeFileSync(
+        path.join(outDir, `${stackName}.template.json`),
+        JSON.stringify(template, null, 1)
+      );
+      sources.set(stackName, relativePath);
+      found.push(`${stackName} (${relativePath})`);
+    }
+  };
+  walk(rootDir);
+
+  console.log(`[${label}] ✓ Found ${found.length} CloudFormation template(s)${found.length ? `: ${found.join(', ')}` : ''}`);
+  return sources;
+}
+
+/**
+ * Resolves the `source` setting: `auto` means CDK when the app directory has
+ * a cdk.json, plain CloudFormation templates otherwise.
+ */
+function resolveTemplateSource(source, appDir) {
+  if (source !== 'auto') return source;
+  return fs.existsSync(path.join(appDir, 'cdk.json')) ? 'cdk' : 'cloudformation';
+}
+
+/**
+ * Checks out sha into a detached git worktree at worktreeDir so that commit
+ * can be synthesized without touching the user's checkout.
+ */
+function createWorktree(label, repoRoot, worktreeDir, sha) {
+  console.log(`[${label}] Creating git worktree for ${sha} at ${worktreeDir}`);
+  if (fs.existsSync(worktreeDir)) {
+    removeWorktree(label, repoRoot, worktreeDir);
+  }
+  runCmd(`git worktree add --detach "${worktreeDir}" ${sha}`, { cwd: repoRoot });
+  console.log(`[${label}] ✓ Worktree created`);
+}
+
+function removeWorktree(label, repoRoot, worktreeDir) {
+  console.log(`[${label}] Removing git worktree at ${worktreeDir}`);
+  try {
+    runCmd(`git worktree remove --force "${worktreeDir}"`, { cwd: repoRoot });
+  } catch (e) {
+    console.warn(`[${label}] Could not remove worktree cleanly: ${e.message}`);
+    fs.rmSync(worktreeDir, { recursive: true, force: true });
+    try {
+      runCmd('git worktree prune', { cwd: repoRoot });
+    } catch (pruneError) {
+      console.warn(`[${label}] Could not prune worktrees: ${pruneError.message}`);
+    }
+  }
+}
+
+/**
+ * Package managers by lockfile, in detection order. `install` is the
+ * lockfile-respecting install; `fallbackInstall` is used without a lockfile.
+ */
+const PACKAGE_MANAGERS = [
+  { name: 'pnpm', lockfile: 'pnpm-lock.yaml', install: 'pnpm install --frozen-lockfile', fallbackInstall: 'pnpm install' },
+  { name: 'yarn', lockfile: 'yarn.lock', install: 'yarn install --frozen-lockfile', fallbackInstall: 'yarn install' },
+  { name: 'bun', lockfile: 'bun.lockb', install: 'bun install --frozen-lockfile', fallbackInstall: 'bun install' },
+  { name: 'bun', lockfile: 'bun.lock', install: 'bun install --frozen-lockfile', fallbackInstall: 'bun install' },
+  { name: 'npm', lockfile: 'package-lock.json', install: 'npm ci', fallbackInstall: 'npm install' },
+];
+
+/**
+ * Detects an app's package manager from its lockfile, falling back to the
+ * package.json `packageManager` field and then npm. `lockfile` is null when
+ * the app has none.
+ */
+function detectPackageManager(appDir) {
+  const found = PACKAGE_MANAGERS.find((manager) => fs.existsSync(path.join(appDir, manager.lockfile)));
+  if (found) return found;
+
+  let declared = null;
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(appDir, 'package.json'), 'utf8'));
+    declared = typeof packageJson.packageManager === 'string' ? packageJson.packageManager.split('@')[0] : null;
+  } catch (e) {
+    // An unreadable package.json is reported by the install itself
+  }
+  const manager = PACKAGE_MANAGERS.find((m) => m.name === declared) || PACKAGE_MANAGERS.find((m) => m.name === 'npm');
+  return { ...manager, lockfile: null };
+}
+
+/**
+ * Makes node_modules available to an app checked out in a worktree. When
+ * package.json and the package manager's lockfile are identical to the
+ * workspace's, its node_modules is reused via a symlink; otherwise the
+ * worktree installs its own dependencies with that package manager.
+ */
+async function prepareWorktreeDependencies(label, workspaceAppDir, appDir) {
+  const workspacePackageJson = path.join(workspaceAppDir, 'package.json');
+  const packageJson = path.join(appDir, 'package.json');
+  if (!fs.existsSync(packageJson)) {
+    console.log(`[${label}] No package.json in app directory; skipping dependency setup`);
+    return;
+  }
+
+  const manager = detectPackageManager(appDir);
+  const workspaceManager = detectPackageManager(workspaceAppDir);
+  const workspaceModules = path.join(workspaceAppDir, 'node_modules');
+  const modules = path.join(appDir, 'node_modules');
+  console.log(`[${label}] Package manager: ${manager.name} (${manager.lockfile || 'no lockfile'})`);
+
+  const readIfExists = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+  // Without a lockfile on either side, identical package.json files are enough
+  const lockfilesMatch =
+    manager.lockfile === workspaceManager.lockfile &&
+    (manager.lockfile === null ||
+      readIfExists(path.join(workspaceAppDir, manager.lockfile)) === readIfExists(path.join(appDir, manager.lockfile)));
+  const packageJsonsMatch = readIfExists(workspacePackageJson) === readIfExists(packageJson);
+
+  if (lockfilesMatch && packageJsonsMatch && fs.existsSync(workspaceModules)) {
+    console.log(`[${label}] ${manager.lockfile || 'package.json'} matches the workspace; reusing its node_modules`);
+    fs.symlinkSync(workspaceModules, modules, 'dir');
+    return;
+  }
+
+  const installCmd = manager.lockfile ? manager.install : manager.fallbackInstall;
+  console.log(`[${label}] Dependencies differ from the workspace; installing dependencies with ${installCmd}...`);
+  const installStartTime = Date.now();
+  await runCmdAsync(installCmd, { cwd: appDir, prefix: label });
+  console.log(`[${label}] ✓ Dependencies installed (took ${Date.now() - installStartTime}ms)`);
+}
+
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+
+/**
+ * Throws unless ref is a commit SHA or a valid ref name, optionally followed
+ * by `^`. Refs come from workflow inputs and the command line, so they are
+ * checked before git sees them.
+ */
+function validateGitRef(ref) {
+  const name = String(ref).endsWith('^') ? String(ref).slice(0, -1) : String(ref);
+  if (COMMIT_SHA_PATTERN.test(name)) return;
+  let valid = !name.startsWith('-');
+  if (valid) {
+    try {
+      execFileSync('git', ['check-ref-format', '--allow-onelevel', name], { stdio: 'ignore' });
+    } catch (e) {
+      valid = false;
+    }
+  }
+  if (!valid) {
+    throw new Error(
+      `Invalid git ref "${ref}": expected a commit SHA or a branch or tag name (optionally followed by ^)`,
+    );
+  }
+}
+
+/**
+ * Resolves a branch, tag, SHA or parent expression (e.g. `abc123^`) to a
+ * commit SHA, fetching it from origin when the checkout is too shallow.
+ */
+function resolveGitRef(repoRoot, ref) {
+  validateGitRef(ref);
+
+  // A missing ref is the expected case on push and merge_group runs, so the
+  // probes run quietly instead of through runCmd's failure logging
+  const revParse = (rev) => {
+    try {
+      return execFileSync('git', ['rev-parse', '--verify', '--quiet', `${rev}^{commit}`], {
+        cwd: repoRoot,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+      }).trim() || null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  let sha = revParse(ref) || revParse(`origin/${ref}`);
+  if (!sha) {
+    // A parent expression needs the commit and one ancestor
+    const parentOf = ref.endsWith('^');
+    const fetchRef = parentOf ? ref.slice(0, -1) : ref;
+    console.log(`[REFS] "${ref}" is not in the local clone; fetching ${fetchRef} from origin...`);
+    try {
+      const output = execFileSync('git', ['fetch', '--no-tags', `--depth=${parentOf ? 2 : 1}`, 'origin', fetchRef], {
+        cwd: repoRoot,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'inherit'],
+      });
+      if (output) console.log(redactSecrets(output.trimEnd()));
+      sha = revParse(parentOf ? 'FETCH_HEAD^' : 'FETCH_HEAD');
+    } catch (e) {
+      console.warn(`[REFS] Could not fetch ${fetchRef}: ${redactSecrets(e.message)}`);
+    }
+  }
+  if (!sha) {
+    throw new Error(
+      `Could not resolve git ref "${ref}". Check it out with enough history (actions/checkout with fetch-depth: 0) or pass a commit SHA.`,
+    );
+  }
+  return sha;
+}
+
+const ZERO_SHA_PATTERN = /^0+$/;
+
+/**
+ * Works out which commits to compare for the triggering event:
+ *   pull_request   PR base vs PR head
+ *   merge_group    queue base vs the merge group commit
+ *   push           the previous tip of the branch vs the pushed commit
+ *   anything else  the parent of the checked-out commit vs that commit
+ * base_ref and head_ref override either side. Returns
+ * { baseSha, headSha, baseLabel, headLabel, pullNumber }.
+ */
+function resolveComparisonRefs(context, { baseRef, headRef }, repoRoot) {
+  const payload = context.payload || {};
+  const pull = payload.pull_request;
+  const mergeGroup = payload.merge_group;
+  let base;
+  let head;
+
+  if (pull) {
+    if (!pull.head || !pull.base || !pull.head.sha || !pull.base.sha) {
+      console.error(`[REFS] Pull request object keys: ${Object.keys(pull).join(', ')}`);
+      throw new Error('Pull request is missing head or base SHA information');
+    }
+    base = { ref: pull.base.sha, label: `PR base (${pull.base.ref || pull.base.sha})` };
+    head = { ref: pull.head.sha, label: `PR head (${pull.head.ref || pull.head.sha})` };
+  } else if (context.eventName === 'merge_group' && mergeGroup) {
+    base = { ref: mergeGroup.base_sha, label: `merge queue base (${mergeGroup.base_ref || mergeGroup.base_sha})` };
+    head = { ref: mergeGroup.head_sha, label: `merge group (${mergeGroup.head_ref || mergeGroup.head_sha})` };
+  } else if (context.eventName === 'push' && payload.after && !ZERO_SHA_PATTERN.test(payload.after)) {
+    // A new branch has no previous tip, so compare with the pushed commit's parent
+    base = payload.before && !ZERO_SHA_PATTERN.test(payload.before)
+      ? { ref: payload.before, label: 'previous push' }
+      : { ref: `${payload.after}^`, label: 'parent commit' };
+    head = { ref: payload.after, label: `push (${context.ref})` };
+  } else {
+    base = { ref: `${context.sha}^`, label: 'parent commit' };
+    head = { ref: context.sha, label: `${context.eventName} (${context.ref})` };
+  }
+
+  if (baseRef) base = { ref: baseRef, label: `base_ref ${baseRef}` };
+  if (headRef) head = { ref: headRef, label: `head_ref ${headRef}` };
+
+  const baseSha = resolveGitRef(repoRoot, base.ref);
+  const headSha = resolveGitRef(repoRoot, head.ref);
+  console.log(`[REFS] Base: ${base.label} → ${baseSha}`);
+  console.log(`[REFS] Head: ${head.label} → ${headSha}`);
+  return {
+    baseSha,
+    headSha,
+    baseLabel: base.label,
+    headLabel: head.label,
+    pullNumber: pull ? pull.number : null,
+  };
+}
+
+/**
+ * Checks that the analyzer produced a non-empty report file, logging a short
+ * preview (or the temp directory listing on failure) for debugging.
+ */
+function verifyReportFile(label, reportPath) {
+  console.log(`[${label}] Checking for report file...`);
+  if (fs.existsSync(reportPath)) {
+    const stats = fs.statSync(reportPath);
+    console.log(`[${label}] ✓ Report generated (size: ${stats.size} bytes)`);
+    if (stats.size === 0) {
+      console.error(`[${label}] ✗ Report file is empty!`);
+      throw new Error(`${label} report file is empty: ${reportPath}`);
+    }
+    // Log first few lines of the report for debugging
+    try {
+      const reportPreview = fs.readFileSync(reportPath, 'utf8').substring(0, 500);
+      console.log(`[${label}] Report preview: ${reportPreview}...`);
+    } catch (e) {
+      console.warn(`[${label}] Could not read report preview: ${e.message}`);
+    }
+  } else {
+    const reportDir = path.dirname(reportPath);
+    console.error(`[${label}] ✗ Report file not found: ${reportPath}`);
+    console.error(`[${label}] Listing temp directory contents...`);
+    try {
+      const tempContents = fs.readdirSync(reportDir);
+      console.error(`[${label}] Temp directory contains: ${tempContents.join(', ')}`);
+    } catch (e) {
+      console.error(`[${label}] Could not list temp directory: ${e.message}`);
+    }
+    throw new Error(`${label} report file not found: ${reportPath}`);
+  }
+}
+
+/**
+ * Runs the analyzer against a cdk.out snapshot.
+ *
+ * `stackNames` (display names from `stacks`, the snapshot's cloud assembly)
+ * limits the run to those stacks' templates; when it is null, or none of the
+ * stacks exist in the snapshot, the analyzer prices every stack.
+ *
+ * The API key is passed only as CLOUDCOST_API_KEY in the analyzer's
+ * environment, never on its command line.
+ */
+async function runAnalyzer(analyzerPath, options) {
+  const {
+    label,
+    cdkOut,
+    stacks,
+    stackNames,
+    region,
+    usageProfile,
+    usageFile,
+    outJson,
+    outMd,
+    apiKey,
+    backendUrl,
+    cwd,
+  } = options;
+
+  const stackArgs = [];
+  if (stackNames) {
+    for (const stackName of stackNames) {
+      const stack = stacks.get(stackName);
+      if (stack && fs.existsSync(stack.templatePath)) {
+        stackArgs.push(`--stack "${stack.templatePath}"`);
+      } else {
+        console.log(
+          `[STACKS] [${label}] No template for stack "${stackName}" in ${cdkOut}, skipping`
+        );
+      }
+    }
+    console.log(
+      `[STACKS] [${label}] Will pass ${stackArgs.length} --stack arg(s) to analyzer`
+    );
+  }
+
+  console.log(`[${label}] Running analyzer (using snapshot)...`);
+  const analyzerCmd = `"${analyzerPath}" ` +
+    `--cdk-out "${cdkOut}" ` +
+    `--region ${region} ` +
+    `--usage-profile ${usageProfile} ` +
+    (usageFile ? `--usage-file "${usageFile}" ` : '') +
+    `--out-json "${outJson}" ` +
+    `--out-md "${outMd}" ` +
+    `--backend-url "${backendUrl}" ` +
+    stackArgs.join(' ');
+  console.log(`[${label}] Analyzer command: ${redactSecrets(analyzerCmd)}`);
+  console.log(`[${label}] Backend URL: ${backendUrl}`);
+  console.log(`[${label}] Expected output JSON: ${outJson}`);
+
+  // Log what backend requests the analyzer will make
+  console.log(`[${label}] [BACKEND] Analyzer will make requests to backend:`);
+  console.log(`[${label}] [BACKEND]   - Base URL: ${backendUrl}`);
+  console.log(`[${label}] [BACKEND]   - API Key: Set (passed via CLOUDCOST_API_KEY environment variable)`);
+  console.log(`[${label}] [BACKEND]   - Region: ${region}`);
+  console.log(`[${label}] [BACKEND]   - Usage Profile: ${usageProfile}`);
+  if (usageFile) console.log(`[${label}] [BACKEND]   - Usage File: ${usageFile}`);
+  console.log(`[${label}] [BACKEND]   - The analyzer will query pricing data from the backend API`);
+  console.log(`[${label}] [BACKEND]   - Watch for analyzer's HTTP request logs above`);
+
+  const analyzerStartTime = Date.now();
+  console.log(`[${label}] [BACKEND] Starting analyzer execution (will make backend requests)...`);
+  // The key goes through the environment rather than argv, where it would be
+  // visible in the process list and exposed to shell expansion
+  await runCmdAsync(analyzerCmd, {
+    cwd,
+    prefix: label,
+    env: { ...process.env, CLOUDCOST_API_KEY: apiKey },
+  });
+  const analyzerDuration = Date.now() - analyzerStartTime;
+  console.log(`[${label}] Analyzer command completed (took ${analyzerDuration}ms)`);
+  console.log(`[${label}] [BACKEND] Analyzer execution finished - check above for any HTTP request logs from the analyzer`);
+
+  verifyReportFile(label, outJson);
+}
+
+/**
+ * Groups stacks into analyzer runs that share a region and usage profile.
+ *
+ * `stackNames` is the list of stacks to price; null or empty means every stack
+ * in `allStackNames`. When every stack prices with the default region and
+ * usage profile this is a single run, matching the analyzer's default
+ * behaviour; otherwise each group gets its own run with an explicit stack list.
+ */
+function planAnalyzerRuns(settings, stackNames, allStackNames, stacks, regionOverride) {
+  const hasStackList = !!stackNames && stackNames.length > 0;
+  const defaultRegion = regionOverride || settings.region;
+  const targets = (hasStackList ? stackNames : allStackNames).map((stackName) => {
+    const stackSettings = getStackSettings(settings, stackName, stacks.get(stackName));
+    return { stackName, ...stackSettings, region: regionOverride || stackSettings.region };
+  });
+
+  const needsGrouping = targets.some(
+    (t) => t.region !== defaultRegion || t.usageProfile !== settings.usageProfile
+  );
+  if (!needsGrouping) {
+    return [{
+      region: defaultRegion,
+      usageProfile: settings.usageProfile,
+      stackNames: hasStackList ? stackNames : null,
+    }];
+  }
+
+  const runs = new Map();
+  for (const { stackName, region, usageProfile } of targets) {
+    const key = `${region}|${usageProfile}`;
+    if (!runs.has(key)) {
+      runs.set(key, { region, usageProfile, stackNames: [] });
+    }
+    runs.get(key).stackNames.push(stackName);
+  }
+  return Array.from(runs.values());
+}
+
+/**
+ * Combines reports from several analyzer runs into a single report.
+ */
+function mergeReports(reports) {
+  const stacks = [];
+  let grandTotal = 0;
+  for (const report of reports) {
+    stacks.push(...(report.stacks || []));
+    grandTotal +=
+      report.grand_total_usd ??
+      (report.stacks || []).reduce((sum, s) => sum + (s.total_monthly_usd ?? 0), 0);
+  }
+  return { stacks, grand_total_usd: grandTotal };
+}
+
+/**
+ * Returns a memoized reader for `Resources` of a stack's template, looked up
+ * by display name in a cloud assembly catalog. Unreadable templates yield {}.
+ */
+function createTemplateResourceLoader() {
+  const templateCache = new Map();
+  return (stacks, stackName) => {
+    const stack = stacks.get(stackName);
+    if (!stack) return {};
+    if (!templateCache.has(stack.templatePath)) {
+      try {
+        templateCache.set(stack.templatePath, readJson(stack.templatePath).Resources || {});
+      } catch (err) {
+        console.warn(`[DIFF] Could not read template for "${stackName}": ${err.message}`);
+        templateCache.set(stack.templatePath, {});
+      }
+    }
+    return templateCache.get(stack.templatePath);
+  };
+}
+
+/** Minimum similarity score for a removed and an added resource to count as a move. */
+const MOVE_MATCH_THRESHOLD = 0.6;
+/**
+ * Minimum `aws:cdk:path` similarity for a move, when both resources have one.
+ * Without it, identical (or empty) properties alone would reach the threshold
+ * and pair unrelated resources of the same type.
+ */
+const MIN_MOVE_PATH_SIMILARITY = 0.5;
+/** Construct IDs CDK gives every L1 resource or default child; they say nothing about identity. */
+const GENERIC_CDK_PATH_SEGMENTS = new Set(['Resource', 'Default']);
+
+function flattenLeaves(value, propPath = '', out = new Map()) {
+  if (value && typeof value === 'object') {
+    const entries = Array.isArray(value)
+      ? value.map((child, idx) => [`${propPath}[${idx}]`, child])
+      : Object.keys(value).map((key) => [propPath ? `${propPath}.${key}` : key, value[key]]);
+    for (const [childPath, child] of entries) flattenLeaves(child, childPath, out);
+    if (entries.length === 0) out.set(propPath, canonicalJson(value));
+    return out;
+  }
+  out.set(propPath, canonicalJson(value));
+  return out;
+}
+
+/**
+ * Dice coefficient over `aws:cdk:path` segments, ignoring the leading stack
+ * segment so that stack renames do not count against the match, and generic
+ * segments such as `Resource` that every construct shares.
+ */
+function cdkPathSimilarity(basePath, headPath) {
+  if (!basePath || !headPath) return 0;
+  const segments = (cdkPath) => cdkPath.split('/').slice(1).filter((s) => !GENERIC_CDK_PATH_SEGMENTS.has(s));
+  const baseSegments = segments(basePath);
+  const headSegments = segments(headPath);
+  const remaining = [...headSegments];
+  let common = 0;
+  for (const segment of baseSegments) {
+    const idx = remaining.indexOf(segment);
+    if (idx !== -1) {
+      common++;
+      remaining.splice(idx, 1);
+    }
+  }
+  const size = baseSegments.length + headSegments.length;
+  return size === 0 ? 0 : (2 * common) / size;
+}
+
+/** Share of leaf properties (after asset-hash canonicalization) equal on both sides. */
+function propertySimilarity(baseResource, headResource) {
+  const canonicalProps = (resource) =>
+    canonicalizeTemplate({ Resources: { R: { Properties: resource.Properties || {} } } }).Resources.R.Properties;
+  const baseLeaves = flattenLeaves(canonicalProps(baseResource));
+  const headLeaves = flattenLeaves(canonicalProps(headResource));
+  if (baseLeaves.size === 0 && headLeaves.size === 0) return 1;
+  let equal = 0;
+  for (const [leafPath, value] of baseLeaves) {
+    if (headLeaves.get(leafPath) === value) equal++;
+  }
+  return (2 * equal) / (baseLeaves.size + headLeaves.size);
+}
+
+/**
+ * Pairs resources that disappeared from the base templates with resources of
+ * the same type that appeared in the head templates, across logical-ID and
+ * stack renames. A matched pair becomes a single item in the head stack with
+ * `movedFrom: { stackName, logicalId }` and the net cost change, instead of a
+ * full-cost removal plus a full-cost addition. A base-only stack whose items
+ * all moved into one head-only stack is folded into it as `renamedFrom`.
+ */
+function matchMovedResources(delta, baseStacks, headStacks) {
+  const loadResources = createTemplateResourceLoader();
+  const cdkPathOf = (item, resource) =>
+    (resource.Metadata && resource.Metadata['aws:cdk:path']) || item.cdkPath || null;
+  const hasProperties = (resource) => Object.keys(resource.Properties || {}).length > 0;
+
+  const removed = [];
+  const added = [];
+  for (const stack of delta.stacks || []) {
+    for (const item of stack.items || []) {
+      const baseResource = loadResources(baseStacks, stack.stackName)[item.logicalId];
+      const headResource = loadResources(headStacks, stack.stackName)[item.logicalId];
+      if (baseResource && !headResource) {
+        removed.push({ stack, item, resource: baseResource, cdkPath: cdkPathOf(item, baseResource) });
+      } else if (headResource && !baseResource) {
+        added.push({ stack, item, resource: headResource, cdkPath: cdkPathOf(item, headResource) });
+      }
+    }
+  }
+
+  const candidates = [];
+  for (const from of removed) {
+    for (const to of added) {
+      if (from.resource.Type !== to.resource.Type) continue;
+      // With CDK paths, the paths must be alike; plain templates have only
+      // their properties to go on, so property-less resources never match
+      const hasPaths = !!(from.cdkPath && to.cdkPath);
+      const pathScore = hasPaths ? cdkPathSimilarity(from.cdkPath, to.cdkPath) : 0;
+      if (hasPaths && pathScore < MIN_MOVE_PATH_SIMILARITY) continue;
+      if (!hasPaths && !hasProperties(from.resource) && !hasProperties(to.resource)) continue;
+      const score = 0.4 * pathScore + 0.6 * propertySimilarity(from.resource, to.resource);
+      if (score >= MOVE_MATCH_THRESHOLD) candidates.push({ from, to, score });
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const matchedFrom = new Set();
+  const matchedTo = new Set();
+  const moveTargets = new Map(); // base stack name -> Set of head stack names
+  for (const { from, to, score } of candidates) {
+    if (matchedFrom.has(from) || matchedTo.has(to)) continue;
+    matchedFrom.add(from);
+    matchedTo.add(to);
+
+    to.item.movedFrom = { stackName: from.stack.stackName, logicalId: from.item.logicalId };
+    to.item.base = from.item.base;
+    to.item.diff = to.item.head - to.item.base;
+    to.item.breakdownBase = from.item.breakdownBase;
+    from.stack.items = from.stack.items.filter((i) => i !== from.item);
+
+    if (!moveTargets.has(from.stack.stackName)) moveTargets.set(from.stack.stackName, new Set());
+    moveTargets.get(from.stack.stackName).add(to.stack.stackName);
+    console.log(
+      `[MOVE] ${from.stack.stackName}/${from.item.logicalId} -> ${to.stack.stackName}/${to.item.logicalId} (score ${score.toFixed(2)})`,
+    );
+  }
+
+  for (const [fromName, targets] of moveTargets) {
+    const fromStack = delta.stacks.find((s) => s.stackName === fromName);
+    const [toName] = Array.from(targets);
+    const toStack = delta.stacks.find((s) => s.stackName === toName);
+    const renamed =
+      targets.size === 1 &&
+      fromStack.items.length === 0 &&
+      baseStacks.has(fromName) && !headStacks.has(fromName) &&
+      headStacks.has(toName) && !baseStacks.has(toName);
+    if (!renamed || toStack.renamedFrom) continue;
+
+    toStack.renamedFrom = fromName;
+    toStack.base += fromStack.base;
+    toStack.diff = toStack.head - toStack.base;
+    delta.stacks = delta.stacks.filter((s) => s !== fromStack);
+    console.log(`[MOVE] Stack "${fromName}" renamed to "${toName}"`);
+  }
+
+  for (const stack of delta.stacks || []) {
+    stack.items.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+  }
+  console.log(`[MOVE] Matched ${matchedFrom.size} moved resource(s)`);
+  return delta;
+}
+
+/**
+ * Property names that drive cost. A property change is cost-relevant when any
+ * segment of its path is one of these (e.g. BlockDeviceMappings[0].Ebs.VolumeSize).
+ */
+const COST_RELEVANT_PROPERTIES = new Set([
+  'AllocatedStorage', 'Architectures', 'BillingMode', 'CacheNodeType', 'Cpu',
+  'DBInstanceClass', 'DesiredCapacity', 'DesiredCount', 'Engine', 'EphemeralStorage',
+  'InstanceClass', 'InstanceCount', 'InstanceType', 'InstanceTypes', 'Iops',
+  'MaxCapacity', 'MaxSize', 'Memory', 'MemorySize', 'MinCapacity', 'MinSize',
+  'MultiAZ', 'NodeType', 'NumCacheClusters', 'NumCacheNodes', 'NumberOfNodes',
+  'ProvisionedConcurrentExecutions', 'ProvisionedThroughput', 'ReadCapacityUnits',
+  'ReservedConcurrentExecutions', 'RetentionInDays', 'RetentionPeriodHours',
+  'ShardCount', 'Size', 'StorageClass', 'StorageType', 'Throughput',
+  'TransitionInDays', 'VolumeSize', 'VolumeType', 'WriteCapacityUnits',
+]);
+
+/**
+ * Collects leaf-level differences between two property values as
+ *   { path, base, head, costRelevant }
+ * Objects are compared key by key and equal-length arrays index by index;
+ * anything else that differs is reported as a whole-value change.
+ */
+function diffProperties(baseValue, headValue, propPath = '', out = []) {
+  if (canonicalJson(baseValue) === canonicalJson(headValue)) return out;
+
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  if (isObject(baseValue) && isObject(headValue)) {
+    const keys = new Set([...Object.keys(baseValue), ...Object.keys(headValue)]);
+    for (const key of Array.from(keys).sort()) {
+      diffProperties(baseValue[key], headValue[key], propPath ? `${propPath}.${key}` : key, out);
+    }
+    return out;
+  }
+  if (Array.isArray(baseValue) && Array.isArray(headValue) && baseValue.length === headValue.length) {
+    baseValue.forEach((item, idx) => diffProperties(item, headValue[idx], `${propPath}[${idx}]`, out));
+    return out;
+  }
+
+  const segments = propPath.split(/[.[\]]/).filter(Boolean);
+  out.push({
+    path: propPath,
+    base: baseValue,
+    head: headValue,
+    costRelevant: segments.some((segment) => COST_RELEVANT_PROPERTIES.has(segment)),
+  });
+  return out;
+}
+
+/**
+ * Pairs each changed resource in the delta with the property-level diff of its
+ * base and head template resources, read from the cdk.out snapshots (moved
+ * items are diffed against the resource they moved from). Sets
+ * `propertyChanges` on every item (empty when the templates are unavailable).
+ */
+function attachPropertyChanges(delta, baseStacks, headStacks) {
+  const loadResources = createTemplateResourceLoader();
+
+  let changedResources = 0;
+  for (const stack of delta.stacks || []) {
+    for (const item of stack.items || []) {
+      const from = item.movedFrom || { stackName: stack.stackName, logicalId: item.logicalId };
+      const baseResource = loadResources(baseStacks, from.stackName)[from.logicalId];
+      const headResource = loadResources(headStacks, stack.stackName)[item.logicalId];
+      item.propertyChanges = baseResource && headResource
+        ? diffProperties(baseResource.Properties || {}, headResource.Properties || {})
+        : [];
+      if (item.propertyChanges.length > 0) changedResources++;
+    }
+  }
+  console.log(`[DIFF] Attached property changes to ${changedResources} resource(s)`);
+  return delta;
+}
+
+/**
+ * Attaches the usage quantities each resource was priced with. Head
+ * assumptions win; removed resources fall back to base.
+ */
+function attachUsageAssumptions(delta, baseUsage, headUsage) {
+  const lookup = (usage, stackName, logicalId) => {
+    const resources = usage.get(stackName);
+    return resources ? resources.get(logicalId) : undefined;
+  };
+  let assumed = 0;
+  for (const stack of delta.stacks || []) {
+    for (const item of stack.items || []) {
+      const from = item.movedFrom || { stackName: stack.stackName, logicalId: item.logicalId };
+      item.usageAssumptions =
+        lookup(headUsage, stack.stackName, item.logicalId) ||
+        lookup(baseUsage, from.stackName, from.logicalId) ||
+        null;
+      if (item.usageAssumptions) assumed++;
+    }
+  }
+  console.log(`[USAGE] Attached usage assumptions to ${assumed} changed resource(s)`);
+  return delta;
+}
+
+/**
+ * Parses a non-negative number from an input value.
+ * Returns undefined when the input is empty so callers can treat the limit as disabled.
+ */
+function parseLimit(value, inputName) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+  const parsed = Number(String(value).trim());
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new Error(`Invalid ${inputName}: "${value}" (expected a non-negative number)`);
+  }
+  return parsed;
+}
+
+/**
+ * Parses per-stack limits given as "StackName=amount" entries separated by
+ * newlines or commas. Stack names are matched against computeDelta stack names.
+ */
+function parseStackLimits(value, inputName) {
+  const limits = new Map();
+  if (!value || String(value).trim() === '') return limits;
+
+  for (const entry of String(value).split(/[\n,]/)) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+    const sep = trimmed.lastIndexOf('=');
+    if (sep <= 0) {
+      throw new Error(`Invalid ${inputName} entry: "${trimmed}" (expected StackName=amount)`);
+    }
+    const stackName = trimmed.substring(0, sep).trim();
+    limits.set(stackName, parseLimit(trimmed.substring(sep + 1), `${inputName} for stack "${stackName}"`));
+  }
+  return limits;
+}
+
+function logCostEstimate(report, label) {
+  try {
+    if (!report) {
+      console.log(`[${label}] No report data available`);
+      return;
+    }
+    
+    const total = report.grand_total_usd || 0;
+    console.log(`[${label}] Cost Estimate: ${formatUsd(total)}`);
+    
+    const resources = [];
+    const stacks = report.stacks || [];
+    
+    for (const stack of stacks) {
+      const items = stack.items || [];
+      for (const item of items) {
+        if (item && item.service && item.logical_id) {
+          resources.push({
+            stack: stack.name || 'unknown',
+            service: item.service,
+            logicalId: item.logical_id,
+            cost: item.monthly_usd || 0,
+          });
+        }
+      }
+    }
+    
+    resources.sort((a, b) => b.cost - a.cost);
+    
+    console.log(`[${label}] Resource Breakdown (${resources.length} resources):`);
+    if (resources.length === 0) {
+      console.log(`[${label}]   No resources found`);
+    } else {
+      for (const res of resources) {
+        console.log(`[${label}]   ${res.service} | ${res.logicalId} | ${res.stack} | ${formatUsd(res.cost)}`);
+      }
+    }
+    
+    // Force flush to ensure logs appear
+    if (process.stdout.flush) process.stdout.flush();
+  } catch (error) {
+    console.error(`[${label}] Error logging cost estimate: ${error.message}`);
+    if (error.stack) {
+      console.error(`[${label}] Stack: ${error.stack}`);
+    }
+  }
+}
+
+const COLLAPSED_MARKER = '<!-- cloudcostgh-collapsed -->';
+
+/**
+ * Marker identifying this configuration's comment. Jobs with different
+ * `comment_key`s (apps, regions, profiles) each keep their own comment.
+ */
+function commentMarker(commentKey) {
+  return commentKey ? `<!-- cloudcostgh-comment:${commentKey} -->` : COMMENT_MARKER;
+}
+const COMMENT_STATE_PATTERN = /<!-- cloudcostgh-state:([A-Za-z0-9+/=]+) -->/;
+const COMMENT_STATE_VERSION = 2;
+const MAX_HISTORY_ENTRIES = 20;
+/** Per-stack deltas are only kept for the newest runs, and only for apps this size. */
+const MAX_STATE_STACKS = 200;
+
+/**
+ * Reads the run history hidden in a previous CloudCost comment, or null when
+ * the comment has none (or it cannot be parsed).
+ */
+function readCommentState(body) {
+  const match = COMMENT_STATE_PATTERN.exec(body || '');
+  if (!match) return null;
+  try {
+    const state = JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+    if (!Array.isArray(state.history)) return null;
+    if (state.version === 1) {
+      // Version 1 kept per-stack head totals; only the total deltas carry over
+      state.history.forEach((entry) => delete entry.stacks);
+      return { version: COMMENT_STATE_VERSION, history: state.history };
+    }
+    return state.version === COMMENT_STATE_VERSION ? state : null;
+  } catch (err) {
+    console.warn(`[HISTORY] Could not parse the previous comment's state: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Appends this run to the history. A re-run of the same commit replaces its
+ * entry. Per-stack deltas against base are kept on the two newest entries
+ * only, which is all `computePushDelta` needs. Deltas rather than head totals
+ * are stored because a run only prices its changed stacks, so head totals
+ * from two runs cover different stacks.
+ */
+function buildCommentState(previousState, delta, headSha) {
+  const stacks = {};
+  for (const stack of delta.stacks || []) {
+    if (stack.diff !== 0) stacks[stack.stackName] = stack.diff;
+  }
+
+  const history = (previousState ? previousState.history : []).filter((entry) => entry.sha !== headSha);
+  history.push({
+    sha: headSha,
+    at: new Date().toISOString(),
+    base: delta.total.base,
+    head: delta.total.head,
+    diff: delta.total.diff,
+    stacks: Object.keys(stacks).length <= MAX_STATE_STACKS ? stacks : undefined,
+  });
+
+  const trimmed = history.slice(-MAX_HISTORY_ENTRIES);
+  trimmed.slice(0, -2).forEach((entry) => delete entry.stacks);
+  return { version: COMMENT_STATE_VERSION, history: trimmed };
+}
+
+function encodeCommentState(state) {
+  return `<!-- cloudcostgh-state:${Buffer.from(JSON.stringify(state)).toString('base64')} -->`;
+}
+
+/**
+ * Compares this run's deltas against base with the previous push's (the
+ * newest history entry for a different commit): the push delta is
+ * `diff - previous.diff`, with a stack missing from either run counting as 0.
+ * Returns null on the first push.
+ */
+function computePushDelta(previousState, delta, headSha) {
+  const previous = previousState
+    ? previousState.history.filter((entry) => entry.sha !== headSha).pop()
+    : null;
+  if (!previous) return null;
+
+  const stacks = [];
+  if (previous.stacks) {
+    const current = new Map((delta.stacks || []).map((stack) => [stack.stackName, stack.diff]));
+    const names = new Set([...Object.keys(previous.stacks), ...current.keys()]);
+    for (const stackName of names) {
+      const before = previous.stacks[stackName] ?? 0;
+      const after = current.get(stackName) ?? 0;
+      if (after !== before) stacks.push({ stackName, before, after, diff: after - before });
+    }
+    stacks.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+  }
+
+  return {
+    previousSha: previous.sha,
+    before: previous.diff,
+    after: delta.total.diff,
+    diff: delta.total.diff - previous.diff,
+    stacks: previous.stacks ? stacks : null,
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Writes the report to the workflow run's job summary (GITHUB_STEP_SUMMARY):
+ * run metadata, budget status, totals, a per-stack table and a collapsible
+ * resource table for every stack with a cost delta. Unlike the PR comment
+ * this works with any token, so it also covers fork PRs.
+ */
+async function writeJobSummary(delta, budgetResult, meta) {
+  if (!process.env.GITHUB_STEP_SUMMARY) {
+    console.log('[SUMMARY] GITHUB_STEP_SUMMARY is not set; skipping job summary');
+    return;
+  }
+
+  const summary = core.summary.emptyBuffer();
+  summary.addHeading(escapeHtml(meta.title), 2);
+
+  if (budgetResult.enabled) {
+    summary.addRaw(
+      budgetResult.exceeded
+        ? `<p>❌ <b>Budget exceeded</b>: ${budgetResult.breaches.map((b) => escapeHtml(b.message)).join('; ')}</p>`
+        : '<p>✅ <b>Within budget</b> - no configured cost limits were exceeded.</p>',
+      true,
+    );
+  }
+
+  summary.addHeading('Grand Total Cost Delta', 3);
+  summary.addTable([
+    [{ data: 'Base', header: true }, { data: 'Head', header: true }, { data: 'Δ', header: true }],
+    [formatUsd(delta.total.base), formatUsd(delta.total.head), formatUsd(delta.total.diff)],
+  ]);
+
+  const stacksWithDelta = (delta.stacks || []).filter((s) => s.diff !== 0);
+  summary.addHeading('Per-Stack Cost Delta', 3);
+  if (stacksWithDelta.length === 0) {
+    summary.addRaw('<p><i>No stacks with non-zero cost delta.</i></p>', true);
+  } else {
+    summary.addTable([
+      ['Stack', 'Region', 'Base', 'Head', 'Δ'].map((data) => ({ data, header: true })),
+      ...stacksWithDelta.map((stack) => [
+        escapeHtml(`${stack.stackName}${stack.renamedFrom ? ` (renamed from ${stack.renamedFrom})` : ''}`),
+        escapeHtml(stack.region || '-'),
+        formatUsd(stack.base),
+        formatUsd(stack.head),
+        formatUsd(stack.diff),
+      ]),
+    ]);
+  }
+  if (delta.unchangedStacksCount) {
+    summary.addRaw(`<p>${delta.unchangedStacksCount} stack(s) unchanged and not re-priced.</p>`, true);
+  }
+
+  for (const stack of stacksWithDelta) {
+    if (!stack.items || stack.items.length === 0) continue;
+    const rows = stack.items.map((item) => {
+      const changes = (item.propertyChanges || [])
+        .filter((c) => c.costRelevant)
+        .map((c) => `${c.path}: ${formatPropertyValue(c.base)} → ${formatPropertyValue(c.head)}`);
+      if (item.movedFrom) changes.unshift(`moved from ${item.movedFrom.stackName} / ${item.movedFrom.logicalId}`);
+      return `<tr><td>${escapeHtml(item.logicalId)}</td><td>${escapeHtml(item.service)}</td><td>${formatUsd(item.base)}</td><td>${formatUsd(item.head)}</td><td>${formatUsd(item.diff)}</td><td>${changes.map(escapeHtml).join('<br>')}</td></tr>`;
+    });
+    summary.addDetails(
+      `${escapeHtml(stack.stackName)}: ${formatUsd(stack.diff)} (${stack.items.length} resource(s))`,
+      `<table><tr><th>Resource</th><th>Service</th><th>Base</th><th>Head</th><th>Δ</th><th>Changes</th></tr>${rows.join('')}</table>`,
+    );
+  }
+
+  summary.addHeading('Run Details', 3);
+  summary.addTable([
+    [{ data: 'Field', header: true }, { data: 'Value', header: true }],
+    ...Object.entries(meta.details)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([field, value]) => [escapeHtml(field), `<code>${escapeHtml(value)}</code>`]),
+  ]);
+
+  await summary.write();
+  console.log('[SUMMARY] ✓ Job summary written');
+}
+
+const CSV_COLUMNS = [
+  'row_type', 'stack', 'region', 'logical_id', 'service', 'moved_from',
+  'component', 'units', 'rate_per_unit', 'base_monthly_usd', 'head_monthly_usd', 'diff_monthly_usd',
+];
+
+/**
+ * Flattens the exported delta into CSV: one `resource` row per changed
+ * resource followed by one `breakdown` row per cost component.
+ */
+function deltaToCsv(exported) {
+  const cell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const stack of exported.stacks) {
+    for (const resource of stack.resources) {
+      const common = {
+        stack: stack.name,
+        region: stack.region,
+        logical_id: resource.logical_id,
+        service: resource.service,
+        moved_from: resource.moved_from ? `${resource.moved_from.stack}/${resource.moved_from.logical_id}` : '',
+      };
+      const records = [
+        { ...common, row_type: 'resource', base_monthly_usd: resource.base, head_monthly_usd: resource.head, diff_monthly_usd: resource.diff },
+        ...resource.breakdown.map((b) => ({
+          ...common,
+          row_type: 'breakdown',
+          component: b.component,
+          units: b.units,
+          rate_per_unit: b.rate_per_unit,
+          base_monthly_usd: b.base,
+          head_monthly_usd: b.head,
+          diff_monthly_usd: b.diff,
+        })),
+      ];
+      for (const record of records) {
+        rows.push(CSV_COLUMNS.map((column) => cell(record[column])).join(','));
+      }
+    }
+  }
+  return `${rows.join('\n')}\n`;
+}
+
+/**
+ * Builds a SARIF 2.1.0 log with one result per resource whose monthly
+ * increase reaches `warningIncrease` (level `error` from `errorIncrease`).
+ * Code scanning only shows results with a location, so `locate` should
+ * resolve every resource to some repository file.
+ */
+function deltaToSarif(exported, { warningIncrease, errorIncrease, locate }) {
+  const results = [];
+  for (const stack of exported.stacks) {
+    for (const resource of stack.resources) {
+      if (resource.diff <= 0 || resource.diff < warningIncrease) continue;
+      const level = errorIncrease !== undefined && resource.diff >= errorIncrease ? 'error' : 'warning';
+      const location = locate ? locate(stack.name, resource.logical_id) : null;
+      const changes = resource.property_changes
+        .filter((c) => c.cost_relevant)
+        .map((c) => `${c.path}: ${formatPropertyValue(c.base)} → ${formatPropertyValue(c.head)}`);
+      results.push({
+        ruleId: 'cloudcost/monthly-cost-increase',
+        level,
+        message: {
+          text: `${resource.service} ${resource.logical_id} in ${stack.name} increases monthly cost by ${formatUsd(resource.diff)} (${formatUsd(resource.base)} → ${formatUsd(resource.head)})${
+            changes.length > 0 ? `: ${changes.join(', ')}` : ''
+          }`,
+        },
+        locations: location
+          ? [{
+            physicalLocation: {
+              artifactLocation: { uri: location.path },
+              region: { startLine: location.line },
+            },
+          }]
+          : [],
+        properties: {
+          stack: stack.name,
+          logicalId: resource.logical_id,
+          monthlyIncreaseUsd: resource.diff,
+        },
+      });
+    }
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'CloudCost',
+          rules: [{
+            id: 'cloudcost/monthly-cost-increase',
+            name: 'MonthlyCostIncrease',
+            shortDescription: { text: 'Resource increases the estimated monthly AWS cost' },
+          }],
+        },
+      },
+      results,
+    }],
+  };
+}
+
+/**
+ * Writes the delta report files into `reportDir` and returns their paths.
+ */
+function writeReportFiles(reportDir, delta, budgetResult, meta, sarifOptions) {
+  fs.mkdirSync(reportDir, { recursive: true });
+  const exported = buildDeltaExport(delta, budgetResult, meta);
+  const files = {
+    json: path.join(reportDir, 'cloudcost-delta.json'),
+    schema: path.join(reportDir, 'cloudcost-delta.schema.json'),
+    csv: path.join(reportDir, 'cloudcost-delta.csv'),
+    sarif: path.join(reportDir, 'cloudcost-delta.sarif'),
+  };
+  const sarif = deltaToSarif(exported, sarifOptions);
+
+  fs.writeFileSync(files.json, JSON.stringify(exported, null, 2));
+  fs.writeFileSync(files.schema, JSON.stringify(DELTA_JSON_SCHEMA, null, 2));
+  fs.writeFileSync(files.csv, deltaToCsv(exported));
+  fs.writeFileSync(files.sarif, JSON.stringify(sarif, null, 2));
+  console.log(`[REPORT] ✓ Wrote report files to ${reportDir} (${sarif.runs[0].results.length} SARIF result(s))`);
+  return files;
+}
+
+const SOURCE_EXTENSIONS = ['.ts', '.js', '.mjs', '.cjs', '.py', '.java', '.cs', '.go'];
+const GENERIC_CONSTRUCT_IDS = new Set(['Resource', 'Default']);
+
+/**
+ * Returns a function mapping (stackName, logicalId) to a repository file and
+ * line for check annotations, or null when the source cannot be found.
+ * CloudFormation templates resolve to the logical ID's line in the template.
+ * CDK resources resolve to the first stack trace frame recorded in the cloud
+ * assembly metadata that lies in the app (present when synthesized with
+ * CDK_DEBUG=true). Otherwise they resolve to the first source line quoting
+ * the construct ID taken from the `aws:cdk:path`.
+ */
+function createSourceLocator({ appDir, repoRoot, stacks, templateSources }) {
+  const linesCache = new Map();
+  const readLines = (file) => {
+    if (!linesCache.has(file)) {
+      try {
+        linesCache.set(file, fs.readFileSync(file, 'utf8').split(/\r?\n/));
+      } catch {
+        linesCache.set(file, []);
+      }
+    }
+    return linesCache.get(file);
+  };
+  const toLocation = (file, line) => ({
+    path: path.relative(repoRoot, file).split(path.sep).join('/'),
+    line,
+  });
+  const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  let sourceFiles = null;
+  const listSourceFiles = () => {
+    if (sourceFiles) return sourceFiles;
+    sourceFiles = [];
+    const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!TEMPLATE_SKIP_DIRS.has(entry.name)) walk(fullPath);
+        } else if (
+          entry.isFile() &&
+          !entry.name.endsWith('.d.ts') &&
+          SOURCE_EXTENSIONS.some((ext) => entry.name.endsWith(ext))
+        ) {
+          sourceFiles.push(fullPath);
+        }
+      }
+    };
+    walk(appDir);
+    return sourceFiles;
+  };
+
+  const fromTrace = (trace) => {
+    for (const frame of trace || []) {
+      const match = /\(?([^()\s]+):(\d+):\d+\)?$/.exec(frame.trim());
+      if (!match) continue;
+      const file = match[1].replace(/^file:\/\//, '');
+      if (!path.isAbsolute(file) || file.includes(`${path.sep}node_modules${path.sep}`)) continue;
+      if (!file.startsWith(appDir + path.sep) || !fs.existsSync(file)) continue;
+      return toLocation(file, Number(match[2]));
+    }
+    return null;
+  };
+
+  const fromConstructPath = (constructPath) => {
+    const segments = constructPath.split('/').filter(Boolean).slice(1);
+    const constructId = segments.reverse().find((segment) => !GENERIC_CONSTRUCT_IDS.has(segment));
+    if (!constructId) return null;
+    const pattern = new RegExp(`['"\`]${escapeRegex(constructId)}['"\`]`);
+    for (const file of listSourceFiles()) {
+      const idx = readLines(file).findIndex((line) => pattern.test(line));
+      if (idx !== -1) return toLocation(file, idx + 1);
+    }
+    return null;
+  };
+
+  const fromTemplate = (relativePath, logicalId) => {
+    const file = path.join(appDir, relativePath);
+    const pattern = new RegExp(`^\\s*["']?${escapeRegex(logicalId)}["']?\\s*:`);
+    const idx = readLines(file).findIndex((line) => pattern.test(line));
+    return idx === -1 ? null : toLocation(file, idx + 1);
+  };
+
+  return (stackName, logicalId) => {
+    if (templateSources && templateSources.has(stackName)) {
+      return fromTemplate(templateSources.get(stackName), logicalId);
+    }
+    const stack = stacks.get(stackName);
+    for (const [constructPath, entries] of Object.entries((stack && stack.metadata) || {})) {
+      const entry = (entries || []).find((e) => e.type === 'aws:cdk:logicalId' && e.data === logicalId);
+      if (entry) return fromTrace(entry.trace) || fromConstructPath(constructPath);
+    }
+    return null;
+  };
+}
+
+/**
+ * Only the costliest changed resources are annotated (the Checks API itself
+ * accepts up to 50 per request), so the diff view stays readable.
+ */
+const MAX_CHECK_ANNOTATIONS = 20;
+const MAX_CHECK_SUMMARY_LENGTH = 65535;
+
+/**
+ * Builds check annotations for the costliest changed resources whose source
+ * location can be resolved.
+ */
+function buildCheckAnnotations(delta, locate) {
+  const items = [];
+  for (const stack of delta.stacks || []) {
+    for (const item of stack.items || []) {
+      if (item.diff !== 0) items.push({ stack, item });
+    }
+  }
+  items.sort((a, b) => Math.abs(b.item.diff) - Math.abs(a.item.diff));
+
+  const annotations = [];
+  for (const { stack, item } of items) {
+    if (annotations.length >= MAX_CHECK_ANNOTATIONS) break;
+    const location = locate(stack.stackName, item.logicalId);
+    if (!location) continue;
+
+    const changes = (item.propertyChanges || [])
+      .filter((c) => c.costRelevant)
+      .map((c) => `${c.path}: ${formatPropertyValue(c.base)} → ${formatPropertyValue(c.head)}`);
+    annotations.push({
+      path: location.path,
+      start_line: location.line,
+      end_line: location.line,
+      annotation_level: item.diff > 0 ? 'warning' : 'notice',
+      title: `${item.service} ${item.logicalId}: ${formatUsd(item.diff)}/month`,
+      message: [
+        `${stack.stackName}: monthly cost ${formatUsd(item.base)} → ${formatUsd(item.head)}`,
+        ...changes,
+      ].join('\n'),
+    });
+  }
+  console.log(`[CHECK] Resolved source locations for ${annotations.length} of ${items.length} changed resource(s)`);
+  return annotations;
+}
+
+/**
+ * failure when a budget limit is exceeded; neutral when costs went up and no
+ * budget is configured; success otherwise.
+ */
+function checkRunConclusion(delta, budgetResult) {
+  if (budgetResult.exceeded) return 'failure';
+  if (!budgetResult.enabled && delta.total.diff > 0) return 'neutral';
+  return 'success';
+}
+
+async function publishCheckRun(octokit, { name, headSha, conclusion, title, summary, annotations }) {
+  const { owner, repo } = github.context.repo;
+  const truncatedSummary = summary.length > MAX_CHECK_SUMMARY_LENGTH
+    ? `${summary.substring(0, MAX_CHECK_SUMMARY_LENGTH - 40)}\n\n_Summary truncated._`
+    : summary;
+  console.log(`[CHECK] Creating check run "${name}" on ${headSha} (conclusion: ${conclusion}, annotations: ${annotations.length})`);
+
+  try {
+    const result = await octokit.rest.checks.create({
+      owner,
+      repo,
+      name,
+      head_sha: headSha,
+      status: 'completed',
+      conclusion,
+      output: { title, summary: truncatedSummary, annotations },
+    });
+    console.log(`[CHECK] ✓ Check run created: ${result.data.html_url}`);
+    return result.data;
+  } catch (error) {
+    // Tokens without `checks: write` (e.g. from forks) cannot create check runs
+    core.warning(
+      `Could not create the CloudCost check run (${error.status || 'error'}: ${error.message}). Grant the workflow "checks: write" permission.`
+    );
+    return null;
+  }
+}
+
+/**
+ * Works out which comment authors count as this action. A personal access
+ * token can name its user; GITHUB_TOKEN and app installation tokens cannot
+ * call /user, and comment as a bot account instead.
+ */
+async function resolveCommentAuthor(octokit) {
+  try {
+    const { data } = await octokit.rest.users.getAuthenticated();
+    console.log(`[PR] Comments are written as ${data.login}`);
+    return (comment) => Boolean(comment.user && comment.user.login === data.login);
+  } catch (err) {
+    console.log(`[PR] Token cannot read its own user (${err.status || 'error'}); only bot comments will be considered`);
+    return (comment) => Boolean(
+      (comment.user && comment.user.type === 'Bot') || comment.performed_via_github_app
+    );
+  }
+}
+
+/**
+ * Returns every comment on the pull request carrying `marker` that was
+ * written by the action's own identity, oldest first. All pages are read,
+ * so busy PRs do not hide the action's own comment, and a user pasting the
+ * marker cannot have their comment edited, deleted or read as run history.
+ */
+async function findPrComments(octokit, issueNumber, marker) {
+  const { owner, repo } = github.context.repo;
+  console.log(`Fetching existing comments for PR #${issueNumber}...`);
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+    per_page: 100,
+  });
+  const withMarker = comments.filter((c) => c.body && c.body.includes(marker));
+  const isOwnComment = withMarker.length > 0 ? await resolveCommentAuthor(octokit) : null;
+  const matching = isOwnComment ? withMarker.filter(isOwnComment) : withMarker;
+  console.log(`Found ${comments.length} total comments on PR #${issueNumber}, ${matching.length} with marker ${marker} from this action`);
+  if (matching.length < withMarker.length) {
+    console.log(`Ignoring ${withMarker.length - matching.length} comment(s) with the marker written by other accounts`);
+  }
+  return matching;
+}
+
+/**
+ * Wraps an outdated CloudCost comment in a closed <details> block. The
+ * marker stays in place so the comment still belongs to its configuration.
+ */
+async function collapseComment(octokit, comment, marker) {
+  if (comment.body.includes(COLLAPSED_MARKER)) return;
+  const { owner, repo } = github.context.repo;
+  const report = comment.body.replace(marker, '').trim();
+  await octokit.rest.issues.updateComment({
+    owner,
+    repo,
+    comment_id: comment.id,
+    body: [
+      marker,
+      COLLAPSED_MARKER,
+      '<details>',
+      '<summary>Outdated CloudCost report (superseded by a newer run)</summary>',
+      '',
+      report,
+      '',
+      '</details>',
+    ].join('\n'),
+  });
+  console.log(`Collapsed outdated comment (ID: ${comment.id})`);
+}
+
+/**
+ * Hides a comment in the PR timeline as outdated (GraphQL minimizeComment).
+ */
+async function minimizeComment(octokit, comment) {
+  await octokit.graphql(
+    `mutation($id: ID!) {
+      minimizeComment(input: { subjectId: $id, classifier: OUTDATED }) {
+        minimizedComment { isMinimized }
+      }
+    }`,
+    { id: comment.node_id },
+  );
+  console.log(`Minimized outdated comment (ID: ${comment.id})`);
+}
+
+/**
+ * Drops comments that are already minimized, looked up in one GraphQL query
+ * per 100 comments, so each run only minimizes comments it has not hidden
+ * yet. If the lookup fails, every comment is returned.
+ */
+async function withoutMinimizedComments(octokit, comments) {
+  const minimized = new Set();
+  try {
+    for (let idx = 0; idx < comments.length; idx += 100) {
+      const ids = comments.slice(idx, idx + 100).map((comment) => comment.node_id);
+      const result = await octokit.graphql(
+        `query($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ... on IssueComment { id isMinimized }
+          }
+        }`,
+        { ids },
+      );
+      for (const node of result.nodes || []) {
+        if (node && node.isMinimized) minimized.add(node.id);
+      }
+    }
+  } catch (err) {
+    core.warning(`Could not check which CloudCost comments are already minimized: ${err.message}`);
+    return comments;
+  }
+  console.log(`${minimized.size} of ${comments.length} earlier comment(s) already minimized`);
+  return comments.filter((comment) => !minimized.has(comment.node_id));
+}
+
+async function deleteComment(octokit, comment) {
+  const { owner, repo } = github.context.repo;
+  await octokit.rest.issues.deleteComment({ owner, repo, comment_id: comment.id });
+  console.log(`Deleted outdated comment (ID: ${comment.id})`);
+}
+
+const PREVIOUS_COMMENT_HANDLERS = {
+  minimize: minimizeComment,
+  delete: deleteComment,
+  collapse: (octokit, comment, marker) => collapseComment(octokit, comment, marker),
+};
+
+/**
+ * Posts the report according to the `previous_comments` policy:
+ *   update   - edit the newest comment carrying `marker` (create if none)
+ *   minimize - post a new comment and hide earlier ones as outdated
+ *   delete   - post a new comment and delete earlier ones
+ *   collapse - post a new comment and fold earlier ones into <details>
+ *   keep     - post a new comment and leave earlier ones as they are
+ * `comments` may pass in the result of an earlier findPrComments call.
+ */
+async function upsertPrComment(octokit, commentBody, { policy, marker, comments }) {
   console.log('=== Starting PR comment upsert ===');
   const context = github.context;
   const { owner, repo } = context.repo;
@@ -721,70 +2756,408 @@ async function upsertPrComment(octokit, commentBody, updateExisting, commentTitl
   console.log(`Event name: ${context.eventName}`);
   console.log(`Action: ${context.action}`);
   
-  const pull = context.payload.pull_request;
-  if (!pull) {
-    console.warn('Not a pull_request event; skipping PR comment.');
-    console.log(`Context payload keys: ${Object.keys(context.payload).join(', ')}`);
-    return;
+  const pull = context.payload.pull_request;
+  if (!pull) {
+    console.warn('Not a pull_request event; skipping PR comment.');
+    console.log(`Context payload keys: ${Object.keys(context.payload).join(', ')}`);
+    return;
+  }
+  
+  const issue_number = pull.number;
+  console.log(`PR number: ${issue_number}`);
+  console.log(`PR head SHA: ${pull.head?.sha}`);
+  console.log(`PR base SHA: ${pull.base?.sha}`);
+  console.log(`Comment body length: ${commentBody.length} characters`);
+
+  try {
+    const previous = comments || await findPrComments(octokit, issue_number, marker);
+    const existing = previous.length > 0 ? previous[previous.length - 1] : null;
+
+    if (existing && policy === 'update') {
+      console.log(`Updating existing CloudCost comment (ID: ${existing.id}).`);
+      const result = await octokit.rest.issues.updateComment({
+        owner,
+        repo,
+        comment_id: existing.id,
+        body: commentBody,
+      });
+      console.log(`✓ Successfully updated comment. Comment URL: ${result.data.html_url}`);
+    } else {
+      if (existing) {
+        console.log(`Found existing comment but policy is "${policy}", posting a new one.`);
+      } else {
+        console.log('No existing CloudCost comment found, creating new one.');
+      }
+      const result = await octokit.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number,
+        body: commentBody,
+      });
+      console.log(`✓ Successfully created comment. Comment URL: ${result.data.html_url}`);
+
+      // The new comment is already posted, so failing to tidy up an older
+      // one (e.g. missing permissions) only warns
+      const handler = PREVIOUS_COMMENT_HANDLERS[policy];
+      if (handler) {
+        const targets = policy === 'minimize' && previous.length > 0
+          ? await withoutMinimizedComments(octokit, previous)
+          : previous;
+        for (const comment of targets) {
+          try {
+            await handler(octokit, comment, marker);
+          } catch (err) {
+            core.warning(`Could not ${policy} CloudCost comment ${comment.id}: ${err.message}`);
+          }
+        }
+      }
+    }
+    console.log('=== PR comment upsert completed successfully ===');
+  } catch (error) {
+    console.error(`✗ Failed to upsert PR comment: ${error.message || String(error)}`);
+    if (error.status) {
+      console.error(`HTTP status: ${error.status}`);
+    }
+    if (error.response) {
+      console.error(`Response data: ${JSON.stringify(error.response.data)}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Builds the base and head templates, prices both with the analyzer and
+ * computes the delta. Shared by the action and the local CLI, so it reads
+ * nothing from the GitHub context. Worktrees it creates are pushed onto
+ * `worktrees` for the caller to remove.
+ */
+async function analyzeCostDiff({
+  settings,
+  usage,
+  analyzerPath,
+  apiKey,
+  backendUrl,
+  workDir,
+  repoRoot,
+  appPrefix,
+  baseSha,
+  headSha,
+  headNeedsWorktree,
+  tmpDir,
+  timings,
+  worktrees,
+}) {
+  console.log('=== Setting up working directories ===');
+  console.log(`Temporary directory: ${tmpDir}`);
+  console.log(`Working directory: ${workDir}`);
+  
+  console.log('Verifying analyzer binary exists...');
+  if (!fs.existsSync(analyzerPath)) {
+    throw new Error(`Analyzer binary not found at: ${analyzerPath}`);
+  }
+  const analyzerStats = fs.statSync(analyzerPath);
+  console.log(`Analyzer binary exists (${analyzerStats.size} bytes, executable: ${(analyzerStats.mode & parseInt('111', 8)) !== 0})`);
+  
+  const analyzerFeatures = detectAnalyzerFeatures(analyzerPath);
+  // The key never goes on the analyzer's command line, so an analyzer that
+  // cannot read it from the environment is refused before anything is built
+  if (!analyzerFeatures.apiKeyEnv) {
+    throw new Error(
+      `Analyzer ${settings.analyzerPath || settings.analyzerVersion} does not read the API key from CLOUDCOST_API_KEY ` +
+      `(its --help does not mention it). Set analyzer_version to ${MIN_ANALYZER_VERSION} or later.`
+    );
+  }
+  
+  const headJson = path.join(tmpDir, 'cloudcost-head-report.json');
+  const baseJson = path.join(tmpDir, 'cloudcost-base-report.json');
+  const headCdkOutSnapshot = path.join(tmpDir, 'cloudcost-head-cdk-out');
+  const baseCdkOutSnapshot = path.join(tmpDir, 'cloudcost-base-cdk-out');
+  
+  console.log(`Head report JSON: ${headJson}`);
+  console.log(`Base report JSON: ${baseJson}`);
+  console.log(`Head CDK snapshot: ${headCdkOutSnapshot}`);
+  console.log(`Base CDK snapshot: ${baseCdkOutSnapshot}`);
+
+  // Base analysis happens in a separate worktree under the temp directory,
+  // so head and base never share a checkout and can be synthesized at once
+  console.log('=== Preparing base commit worktree ===');
+  const baseWorktreeDir = path.join(tmpDir, 'cloudcost-base-worktree');
+  worktrees.push({ label: 'BASE', dir: baseWorktreeDir, repoRoot });
+  await timePhase(timings, 'Base worktree', async () => {
+    createWorktree('BASE', repoRoot, baseWorktreeDir, baseSha);
+  });
+  const baseAppDir = path.join(baseWorktreeDir, appPrefix);
+  
+  let headAppDir = workDir;
+  let headRepoRoot = repoRoot;
+  if (headNeedsWorktree) {
+    console.log('=== Preparing head commit worktree ===');
+    const headWorktreeDir = path.join(tmpDir, 'cloudcost-head-worktree');
+    worktrees.push({ label: 'HEAD', dir: headWorktreeDir, repoRoot });
+    await timePhase(timings, 'Head worktree', async () => {
+      createWorktree('HEAD', repoRoot, headWorktreeDir, headSha);
+    });
+    headAppDir = path.join(headWorktreeDir, appPrefix);
+    headRepoRoot = headWorktreeDir;
+  }
+  
+  // Head synths straight into its snapshot directory so the app's own
+  // cdk.out is left as the user had it
+  const templateSource = resolveTemplateSource(settings.source, headAppDir);
+  let headTemplateSources = null;
+  console.log(`[TEMPLATES] Template source: ${templateSource}${settings.source === 'auto' ? ' (auto-detected)' : ''}`);
+  
+  if (templateSource === 'cdk') {
+    console.log('=== Synthesizing head and base commits ===');
+    console.log(`[HEAD] Git SHA: ${headSha}`);
+    console.log(`[BASE] Git SHA: ${baseSha}`);
+    core.startGroup('Synthesize head and base commits');
+    await timePhase(timings, 'CDK CLI install', () => installCdkCli(workDir));
+    await settleAll([
+      (async () => {
+        if (headAppDir !== workDir) {
+          await timePhase(timings, 'Head dependencies', () => prepareWorktreeDependencies('HEAD', workDir, headAppDir));
+        }
+        await timePhase(timings, 'Head synth', () => synthCdkApp('HEAD', headAppDir, headCdkOutSnapshot));
+      })(),
+      (async () => {
+        await timePhase(timings, 'Base dependencies', () => prepareWorktreeDependencies('BASE', workDir, baseAppDir));
+        await timePhase(timings, 'Base synth', () => synthCdkApp('BASE', baseAppDir, baseCdkOutSnapshot));
+      })(),
+    ]);
+    core.endGroup();
+  } else {
+    // Plain CloudFormation: no synth step, the templates are read as committed
+    console.log('=== Collecting CloudFormation templates for head and base commits ===');
+    core.startGroup('Collect CloudFormation templates');
+    await timePhase(timings, 'Template discovery', async () => {
+      headTemplateSources = collectCloudFormationTemplates('HEAD', headAppDir, headCdkOutSnapshot, settings.templatePaths);
+      collectCloudFormationTemplates('BASE', baseAppDir, baseCdkOutSnapshot, settings.templatePaths);
+    });
+    core.endGroup();
+  }
+  
+  // Read both cloud assemblies (including nested Stage assemblies) and
+  // compute hashes for HEAD and BASE templates
+  console.log(`[HEAD] Reading cloud assembly...`);
+  const headStacks = readCloudAssembly(headCdkOutSnapshot);
+  console.log(`[HEAD] Computing template hashes...`);
+  const headHashes = computeTemplateHashes(headStacks);
+  console.log(`[HEAD] ✓ Computed ${headHashes.size} template hashes`);
+  console.log(`[HEAD] ✓ Head cdk.out snapshot created at: ${headCdkOutSnapshot}`);
+  
+  console.log(`[BASE] Reading cloud assembly...`);
+  const baseStacks = readCloudAssembly(baseCdkOutSnapshot);
+  console.log(`[BASE] Computing template hashes...`);
+  const baseHashes = computeTemplateHashes(baseStacks);
+  console.log(`[BASE] ✓ Computed ${baseHashes.size} template hashes`);
+  console.log(`[BASE] ✓ Base cdk.out snapshot created at: ${baseCdkOutSnapshot}`);
+  
+  // Usage assumptions are resolved against each side's templates so patterns
+  // keep matching resources that were added, removed or renamed. An analyzer
+  // without --usage-file would reject the flag, so they are dropped for it.
+  let baseUsage = resolveUsageAssumptions(usage, baseStacks);
+  let headUsage = resolveUsageAssumptions(usage, headStacks);
+  if ((baseUsage.size > 0 || headUsage.size > 0) && !analyzerFeatures.usageFile) {
+    core.warning(
+      `Analyzer ${settings.analyzerVersion} does not support --usage-file; usage assumptions are ignored and ` +
+      'every resource is priced with the usage profile. Set analyzer_version to a release whose --help lists --usage-file.'
+    );
+    baseUsage = new Map();
+    headUsage = new Map();
+  }
+  const usageFiles = {};
+  for (const [label, assumptions, stacks] of [['BASE', baseUsage, baseStacks], ['HEAD', headUsage, headStacks]]) {
+    const resourceCount = Array.from(assumptions.values()).reduce((sum, resources) => sum + resources.size, 0);
+    console.log(`[USAGE] [${label}] Usage assumptions matched ${resourceCount} resource(s)`);
+    if (resourceCount > 0) {
+      usageFiles[label] = writeAnalyzerUsageFile(
+        path.join(tmpDir, `cloudcost-${label.toLowerCase()}-usage.json`),
+        assumptions,
+        stacks,
+      );
+    }
+  }
+  
+  // Determine which stacks changed between base and head
+  const changedStacks = new Set();
+  if (baseHashes && headHashes) {
+    for (const [stackName, baseHash] of baseHashes.entries()) {
+      const headHash = headHashes.get(stackName);
+      if (!headHash || headHash !== baseHash) {
+        changedStacks.add(stackName);
+      }
+    }
+    for (const stackName of headHashes.keys()) {
+      if (!baseHashes.has(stackName)) {
+        changedStacks.add(stackName);
+      }
+    }
+    console.log(
+      `[STACKS] Changed stacks based on template hashes: ${
+        Array.from(changedStacks).join(', ') || '(none)'
+      }`
+    );
+  } else {
+    console.log('[STACKS] Hash maps missing; analyzer will run on all stacks (no --stack filter)');
+  }
+  
+  // Stacks ignored by the repository config are never priced
+  for (const stackName of Array.from(changedStacks)) {
+    if (isStackIgnored(settings, stackName)) {
+      console.log(`[STACKS] Stack "${stackName}" is ignored by config; excluding from analysis`);
+      changedStacks.delete(stackName);
+    }
   }
   
-  const issue_number = pull.number;
-  console.log(`PR number: ${issue_number}`);
-  console.log(`PR head SHA: ${pull.head?.sha}`);
-  console.log(`PR base SHA: ${pull.base?.sha}`);
-  console.log(`Comment body length: ${commentBody.length} characters`);
-
-  const marker = '<!-- cloudcostgh-comment -->';
-  console.log(`Fetching existing comments for PR #${issue_number}...`);
+  if (changedStacks.size > 0) {
+    console.log(
+      `[STACKS] Applying stack filter to analyzer for ${changedStacks.size} stack(s)`
+    );
+  } else {
+    console.log(
+      '[STACKS] No changed stacks detected; analyzer will run on all stacks (no --stack filter)'
+    );
+  }
   
-  try {
-    const comments = await octokit.rest.issues.listComments({
-      owner,
-      repo,
-      issue_number,
-      per_page: 100,
-    });
-    
-    console.log(`Found ${comments.data.length} total comments on PR #${issue_number}`);
-
-    const existing = comments.data.find((c) =>
-      c.body && c.body.includes(marker),
+  // Run the analyzer once per region/usage profile group and combine the
+  // results into the side's report file
+  const analyzeSnapshot = async (label, cdkOut, stacks, hashes, outJson, regionOverride) => {
+    const allStackNames = Array.from(hashes.keys()).filter(
+      (stackName) => !isStackIgnored(settings, stackName)
     );
-
-    if (existing && updateExisting) {
-      console.log(`Updating existing CloudCost comment (ID: ${existing.id}).`);
-      const result = await octokit.rest.issues.updateComment({
-        owner,
-        repo,
-        comment_id: existing.id,
-        body: commentBody,
+    // A percentage budget is relative to the whole app, so the base side then
+    // prices every stack; unchanged ones are carried over to head at base cost
+    const priceAllStacks = label === 'BASE' && !regionOverride && settings.budget.maxIncreasePct !== undefined;
+    const stackNames = changedStacks.size > 0 && !priceAllStacks
+      ? Array.from(changedStacks).filter((stackName) => hashes.has(stackName))
+      : null;
+    if (priceAllStacks && changedStacks.size > 0) {
+      console.log(`[${label}] Pricing all stacks so the percentage budget uses the full base total`);
+    }
+    const runs = planAnalyzerRuns(settings, stackNames, allStackNames, stacks, regionOverride);
+    console.log(`[${label}] Planned ${runs.length} analyzer run(s)`);
+    
+    const reports = [];
+    for (const [idx, run] of runs.entries()) {
+      const runJson = outJson.replace(/\.json$/, `-${idx + 1}.json`);
+      console.log(`[${label}] Run ${idx + 1}/${runs.length}: region=${run.region}, usage profile=${run.usageProfile}, stacks=${run.stackNames ? run.stackNames.join(', ') : 'all'}`);
+      await runAnalyzer(analyzerPath, {
+        label,
+        cdkOut,
+        stacks,
+        stackNames: run.stackNames,
+        region: run.region,
+        usageProfile: run.usageProfile,
+        usageFile: usageFiles[label],
+        outJson: runJson,
+        outMd: runJson.replace(/\.json$/, '.md'),
+        apiKey,
+        backendUrl,
+        cwd: workDir,
       });
-      console.log(`✓ Successfully updated comment. Comment URL: ${result.data.html_url}`);
-    } else {
-      if (existing) {
-        console.log(`Found existing comment but updateExisting is false, skipping update.`);
-      } else {
-        console.log('No existing CloudCost comment found, creating new one.');
+      
+      // Record what each stack was priced with so the comment can show it
+      const report = readJson(runJson);
+      for (const reportStack of report.stacks || []) {
+        reportStack.priced_region = run.region;
+        reportStack.usage_profile = run.usageProfile;
       }
-      const result = await octokit.rest.issues.createComment({
-        owner,
-        repo,
-        issue_number,
-        body: commentBody,
-      });
-      console.log(`✓ Successfully created comment. Comment URL: ${result.data.html_url}`);
-    }
-    console.log('=== PR comment upsert completed successfully ===');
-  } catch (error) {
-    console.error(`✗ Failed to upsert PR comment: ${error.message || String(error)}`);
-    if (error.status) {
-      console.error(`HTTP status: ${error.status}`);
+      reports.push(report);
     }
-    if (error.response) {
-      console.error(`Response data: ${JSON.stringify(error.response.data)}`);
+    fs.writeFileSync(outJson, JSON.stringify(mergeReports(reports), null, 2));
+    console.log(`[${label}] ✓ Merged ${reports.length} analyzer report(s) into ${outJson}`);
+  };
+  
+  console.log('=== Running analyzer for head and base commits ===');
+  core.startGroup('Run analyzer');
+  await settleAll([
+    timePhase(timings, 'Base analyzer', () => analyzeSnapshot('BASE', baseCdkOutSnapshot, baseStacks, baseHashes, baseJson)),
+    timePhase(timings, 'Head analyzer', () => analyzeSnapshot('HEAD', headCdkOutSnapshot, headStacks, headHashes, headJson)),
+  ]);
+  core.endGroup();
+
+  console.log('=== Computing cost delta ===');
+  const baseReport = applyIgnores(annotateReportStacks(readJson(baseJson), baseStacks), settings);
+  console.log(`Base report total: $${baseReport.grand_total_usd || 'N/A'}`);
+  console.log(`Base report stacks: ${(baseReport.stacks || []).length}`);
+  
+  const headReport = applyIgnores(annotateReportStacks(readJson(headJson), headStacks), settings);
+  console.log(`Head report total: $${headReport.grand_total_usd || 'N/A'}`);
+  console.log(`Head report stacks: ${(headReport.stacks || []).length}`);
+
+  console.log('=== Logging cost estimates ===');
+  core.startGroup('Cost Estimates');
+  logCostEstimate(headReport, 'HEAD');
+  logCostEstimate(baseReport, 'BASE');
+  core.endGroup();
+  console.log('=== Finished logging cost estimates ===');
+  
+  console.log('=== Computing cost delta with hash-based optimization ===');
+  const delta = computeDelta(baseReport, headReport, baseHashes, headHashes, console);
+  matchMovedResources(delta, baseStacks, headStacks);
+  attachPropertyChanges(delta, baseStacks, headStacks);
+  attachUsageAssumptions(delta, baseUsage, headUsage);
+
+  // Price the same snapshots in every compared region; nothing is re-synthesized
+  let regionComparison = null;
+  if (settings.compareRegions.length > 0) {
+    console.log(`=== Comparing regions: ${settings.compareRegions.join(', ')} ===`);
+    core.startGroup('Region comparison');
+    const regionDeltas = [];
+    await timePhase(timings, 'Region comparison', async () => {
+      for (const compareRegion of settings.compareRegions) {
+        const regionBaseJson = baseJson.replace(/\.json$/, `-${compareRegion}.json`);
+        const regionHeadJson = headJson.replace(/\.json$/, `-${compareRegion}.json`);
+        await settleAll([
+          analyzeSnapshot('BASE', baseCdkOutSnapshot, baseStacks, baseHashes, regionBaseJson, compareRegion),
+          analyzeSnapshot('HEAD', headCdkOutSnapshot, headStacks, headHashes, regionHeadJson, compareRegion),
+        ]);
+        regionDeltas.push({
+          region: compareRegion,
+          delta: computeDelta(
+            applyIgnores(annotateReportStacks(readJson(regionBaseJson), baseStacks), settings),
+            applyIgnores(annotateReportStacks(readJson(regionHeadJson), headStacks), settings),
+            baseHashes,
+            headHashes,
+            console,
+          ),
+        });
+      }
+    });
+    core.endGroup();
+    regionComparison = buildRegionComparison(regionDeltas);
+    console.log(`[REGIONS] Cheapest region for head: ${regionComparison.cheapestRegion}`);
+  }
+  console.log(`Delta computed:`);
+  console.log(`  Base total: $${delta.total.base.toFixed(2)}`);
+  console.log(`  Head total: $${delta.total.head.toFixed(2)}`);
+  console.log(`  Delta: $${delta.total.diff.toFixed(2)}`);
+  console.log(`  Stacks with changes: ${delta.stacks.length}`);
+  console.log(`  Unchanged stacks (skipped AI analysis): ${delta.unchangedStacksCount || 0}`);
+  
+  console.log('=== Evaluating budget ===');
+  const budgetResult = evaluateBudget(delta, settings.budget, console);
+  if (!budgetResult.enabled) {
+    console.log('[BUDGET] No budget limits configured');
+  } else if (budgetResult.exceeded) {
+    for (const breach of budgetResult.breaches) {
+      console.error(`[BUDGET] ✗ ${breach.message}`);
     }
-    throw error;
+  } else {
+    console.log('[BUDGET] ✓ Within budget');
   }
+
+  return {
+    delta,
+    budgetResult,
+    regionComparison,
+    headStacks,
+    headTemplateSources,
+    headAppDir,
+    headRepoRoot,
+    templateSource,
+  };
 }
 
 async function main() {
@@ -796,45 +3169,62 @@ async function main() {
   console.log(`[INIT] Working directory: ${process.cwd()}`);
   console.log(`[INIT] Process PID: ${process.pid}`);
   console.log(`[INIT] Environment variables:`);
-  console.log(`  - GITHUB_TOKEN: ${process.env.GITHUB_TOKEN ? `Set (${process.env.GITHUB_TOKEN.length} chars)` : 'NOT SET'}`);
-  console.log(`  - CLOUDCOST_API_KEY: ${process.env.CLOUDCOST_API_KEY ? `Set (${process.env.CLOUDCOST_API_KEY.length} chars)` : 'NOT SET'}`);
+  console.log(`  - GITHUB_TOKEN: ${process.env.GITHUB_TOKEN ? 'Set' : 'NOT SET'}`);
+  console.log(`  - CLOUDCOST_API_KEY: ${process.env.CLOUDCOST_API_KEY ? 'Set' : 'NOT SET'}`);
   console.log(`  - APP_CONFIG: ${process.env.APP_CONFIG || 'NOT SET'}`);
   console.log(`  - RUNNER_TEMP: ${process.env.RUNNER_TEMP || 'NOT SET'}`);
   console.log(`  - GITHUB_WORKSPACE: ${process.env.GITHUB_WORKSPACE || 'NOT SET'}`);
   
+  // Worktrees are recorded as they are created so they are removed however main() exits
+  const worktrees = [];
+  
   try {
     console.log('=== Reading configuration ===');
-    const backendUrl = 'https://cloudcost-action-api.vercel.app/';
-    console.log(`[CONFIG] Backend URL: ${backendUrl}`);
+    
+    // Configuration: action inputs (CLOUDCOST_* env vars) override the repository
+    // config file, which overrides built-in defaults. Everything is validated here,
+    // before any git or synth work starts.
+    const repoConfig = loadRepoConfig(process.cwd(), process.env.CLOUDCOST_CONFIG_FILE);
+    const settings = resolveSettings(repoConfig, process.env);
+    const {
+      region,
+      usageProfile,
+      analyzerVersion,
+      backendUrl,
+      commentTitle,
+      enableUsageReporting,
+      budget,
+    } = settings;
+    console.log(`[CONFIG] Backend URL: ${backendUrl}${backendUrl === DEFAULT_BACKEND_URL ? ' (default)' : ''}`);
     console.log(`[CONFIG] [BACKEND] All backend requests will be made to: ${backendUrl}`);
     console.log(`[CONFIG] [BACKEND] The analyzer binary will make pricing API requests to this backend`);
-    console.log(`[CONFIG] [BACKEND] Usage reporting will be sent to: ${backendUrl}/api/v1/usage`);
-    
-    // Simple: configuration comes only from environment variables
-    const region = process.env.CLOUDCOST_REGION || 'us-east-1';
+    console.log(`[CONFIG] [BACKEND] Usage reporting will be sent to: ${backendUrl.replace(/\/$/, '')}/api/v1/usage`);
     console.log(`Region: ${region}`);
-    
-    const usageProfile = process.env.CLOUDCOST_USAGE_PROFILE || 'small';
     console.log(`Usage profile: ${usageProfile}`);
-    
-    const analyzerVersion =
-      process.env.CLOUDCOST_ANALYZER_VERSION || 'v0.1.0';
+    console.log(`Compare regions: ${settings.compareRegions.join(', ') || 'NOT SET'}`);
     console.log(`Analyzer version: ${analyzerVersion}`);
-    
-    const commentTitle =
-      process.env.CLOUDCOST_COMMENT_TITLE || 'Cloud Cost Impact';
+    console.log(`Analyzer checksum: ${settings.analyzerSha256 ? `pinned (${settings.analyzerSha256})` : 'from release'}`);
+    console.log(`Analyzer path: ${settings.analyzerPath || 'NOT SET (download the release)'}`);
     console.log(`Comment title: ${commentTitle}`);
-    
-    const updateExistingEnv = process.env.CLOUDCOST_UPDATE_EXISTING_COMMENT;
-    const updateExisting = updateExistingEnv
-      ? updateExistingEnv.toLowerCase() !== 'false'
-      : true;
-    console.log(`Update existing comment: ${updateExisting}`);
-    
-    const enableUsageEnv = process.env.CLOUDCOST_ENABLE_USAGE_REPORTING;
-    const enableUsageReporting = !!enableUsageEnv &&
-      enableUsageEnv.toLowerCase() !== 'false';
+    console.log(`Comment key: ${settings.commentKey || 'NOT SET'}`);
+    console.log(`Previous comments: ${settings.previousComments}`);
+    console.log(`PR comment: ${settings.prComment}`);
+    console.log(`Check run: ${settings.checkRun}`);
+    console.log(`Job summary: ${settings.jobSummary}`);
+    console.log(`Report directory: ${settings.reportDir || 'NOT SET (RUNNER_TEMP)'}`);
+    console.log(`Usage file: ${settings.usageFile || 'NOT SET (auto-detect)'}`);
+    console.log(`Base ref: ${settings.baseRef || 'NOT SET (from event)'}`);
+    console.log(`Head ref: ${settings.headRef || 'NOT SET (from event)'}`);
+    console.log(`SARIF thresholds: warning ${formatUsd(settings.sarifWarningIncrease)}, error ${settings.sarifErrorIncrease !== undefined ? formatUsd(settings.sarifErrorIncrease) : 'NOT SET'}`);
     console.log(`Enable usage reporting: ${enableUsageReporting}`);
+    console.log(`Budget max increase: ${budget.maxIncreaseUsd !== undefined ? formatUsd(budget.maxIncreaseUsd) : 'NOT SET'}`);
+    console.log(`Budget max increase percent: ${budget.maxIncreasePct !== undefined ? `${budget.maxIncreasePct}%` : 'NOT SET'}`);
+    console.log(`Budget stack limits: ${budget.stackLimits.size}`);
+    console.log(`Ignored stack patterns: ${settings.ignoreStacks.join(', ') || 'none'}`);
+    console.log(`Per-stack settings: ${Object.keys(settings.stacks).join(', ') || 'none'}`);
+    console.log(`Template source: ${settings.source}`);
+    console.log(`Template paths: ${settings.templatePaths.join(', ') || 'all'}`);
+    const usage = loadUsageFile(process.cwd(), settings.usageFile);
     
     const githubToken = process.env.GITHUB_TOKEN;
 
@@ -845,7 +3235,8 @@ async function main() {
       );
       return;
     }
-    console.log(`✓ GitHub token is set (length: ${githubToken.length} chars)`);
+    registerSecret(githubToken);
+    console.log('✓ GitHub token is set');
     
     const apiKey = process.env.CLOUDCOST_API_KEY;
     if (!apiKey) {
@@ -855,7 +3246,8 @@ async function main() {
       );
       return;
     }
-    console.log(`✓ API key is set (length: ${apiKey.length} chars)`);
+    registerSecret(apiKey);
+    console.log('✓ API key is set');
 
     console.log('=== Checking GitHub context ===');
     const context = github.context;
@@ -870,491 +3262,129 @@ async function main() {
     console.log(`[CONTEXT] Payload keys: ${Object.keys(context.payload || {}).join(', ')}`);
     
     const pull = context.payload.pull_request;
-    if (!pull) {
-      console.error('[CONTEXT] ✗ No pull_request found in context');
-      console.error(`[CONTEXT] Available payload keys: ${Object.keys(context.payload || {}).join(', ')}`);
-      console.error(`[CONTEXT] Payload structure: ${JSON.stringify(context.payload, null, 2).substring(0, 1000)}`);
-      core.setFailed('This action must be run on a pull_request event.');
-      return;
+    if (pull) {
+      console.log(`[CONTEXT] ✓ Pull request found: #${pull.number}`);
+      console.log(`[CONTEXT] PR state: ${pull.state || 'N/A'}`);
+      console.log(`[CONTEXT] PR title: ${pull.title || 'N/A'}`);
+      console.log(`[CONTEXT] PR head ref: ${pull.head?.ref || 'N/A'}`);
+      console.log(`[CONTEXT] PR base ref: ${pull.base?.ref || 'N/A'}`);
+    } else {
+      console.log(`[CONTEXT] No pull request in a ${context.eventName} event; results go to the job summary and outputs`);
     }
     
-    console.log(`[CONTEXT] ✓ Pull request found: #${pull.number}`);
-    console.log(`[CONTEXT] PR state: ${pull.state || 'N/A'}`);
-    
     // Force flush to ensure output is visible
     if (process.stdout.flush) process.stdout.flush();
     if (process.stderr.flush) process.stderr.flush();
     
-    console.log(`[CONTEXT] PR title: ${pull.title || 'N/A'}`);
-    console.log(`[CONTEXT] PR head ref: ${pull.head?.ref || 'N/A'}`);
-    console.log(`[CONTEXT] PR base ref: ${pull.base?.ref || 'N/A'}`);
-    
-    // Safely extract SHA values with better error handling
-    console.log(`[CONTEXT] Checking pull.head and pull.base objects...`);
-    if (!pull.head) {
-      console.error(`[CONTEXT] ✗ Pull request head object is missing`);
-      console.error(`[CONTEXT] Pull request object keys: ${Object.keys(pull || {}).join(', ')}`);
-      console.error(`[CONTEXT] Pull request object (first 2000 chars): ${JSON.stringify(pull, null, 2).substring(0, 2000)}`);
-      throw new Error('Pull request is missing head information');
-    }
-    
-    if (!pull.base) {
-      console.error(`[CONTEXT] ✗ Pull request base object is missing`);
-      console.error(`[CONTEXT] Pull request object keys: ${Object.keys(pull || {}).join(', ')}`);
-      console.error(`[CONTEXT] Pull request object (first 2000 chars): ${JSON.stringify(pull, null, 2).substring(0, 2000)}`);
-      throw new Error('Pull request is missing base information');
-    }
-    
-    const headSha = pull.head.sha;
-    const baseSha = pull.base.sha;
-    console.log(`[CONTEXT] Head SHA: ${headSha || 'MISSING'}`);
-    console.log(`[CONTEXT] Base SHA: ${baseSha || 'MISSING'}`);
-    console.log(`[CONTEXT] Head object keys: ${Object.keys(pull.head || {}).join(', ')}`);
-    console.log(`[CONTEXT] Base object keys: ${Object.keys(pull.base || {}).join(', ')}`);
-    
-    if (!headSha || !baseSha) {
-      console.error(`[CONTEXT] ✗ Missing SHA information`);
-      console.error(`[CONTEXT] Head object: ${JSON.stringify(pull.head, null, 2)}`);
-      console.error(`[CONTEXT] Base object: ${JSON.stringify(pull.base, null, 2)}`);
-      // Force flush before throwing
-      if (process.stdout.flush) process.stdout.flush();
-      if (process.stderr.flush) process.stderr.flush();
-      throw new Error('Pull request is missing head or base SHA information');
-    }
-    
-    // Force flush to ensure output is visible before continuing
-    if (process.stdout.flush) process.stdout.flush();
-    if (process.stderr.flush) process.stderr.flush();
-    
-    console.log('=== Setting up working directories ===');
-    const tmpDir = process.env.RUNNER_TEMP || os.tmpdir();
+    console.log('=== Resolving refs to compare ===');
     const workDir = process.cwd();
-    console.log(`Temporary directory: ${tmpDir}`);
-    console.log(`Working directory: ${workDir}`);
+    const repoRoot = captureCmd('git rev-parse --show-toplevel', { cwd: workDir });
+    const appPrefix = captureCmd('git rev-parse --show-prefix', { cwd: workDir });
+    console.log(`[REFS] Repository root: ${repoRoot}`);
+    console.log(`[REFS] App directory within repository: ${appPrefix || '(root)'}`);
+    const { baseSha, headSha, baseLabel, headLabel, pullNumber } = resolveComparisonRefs(context, settings, repoRoot);
+    
+    // The workspace checkout is the head unless head_ref names another commit
+    // (on pull requests it is usually the merge commit, which is what we want)
+    const workspaceSha = captureCmd('git rev-parse HEAD', { cwd: workDir });
+    const headNeedsWorktree = Boolean(settings.headRef) && headSha !== workspaceSha;
+    console.log(`[REFS] Workspace commit: ${workspaceSha}${headNeedsWorktree ? ' (head is checked out separately)' : ''}`);
     
-    const analyzerDir = path.join(tmpDir, 'cloudcost-analyzer');
-    const analyzerPath = path.join(analyzerDir, 'analyzer');
-    const headJson = path.join(tmpDir, 'cloudcost-head-report.json');
-    const baseJson = path.join(tmpDir, 'cloudcost-base-report.json');
-    const headCdkOutSnapshot = path.join(tmpDir, 'cloudcost-head-cdk-out');
-    const baseCdkOutSnapshot = path.join(tmpDir, 'cloudcost-base-cdk-out');
-    
-    console.log(`Analyzer directory: ${analyzerDir}`);
-    console.log(`Analyzer path: ${analyzerPath}`);
-    console.log(`Head report JSON: ${headJson}`);
-    console.log(`Base report JSON: ${baseJson}`);
-    console.log(`Head CDK snapshot: ${headCdkOutSnapshot}`);
-    console.log(`Base CDK snapshot: ${baseCdkOutSnapshot}`);
-
-    console.log('Creating analyzer directory...');
-    fs.mkdirSync(analyzerDir, { recursive: true });
-    console.log(`✓ Analyzer directory created`);
-
-    const analyzerUrl = `https://github.com/odrori1997/cloudcost-analyzer/releases/download/${analyzerVersion}/analyzer`;
-    console.log(`=== Downloading analyzer ===`);
-    console.log(`[DOWNLOAD] Analyzer URL: ${analyzerUrl}`);
-    console.log(`[DOWNLOAD] Target path: ${analyzerPath}`);
-    console.log(`[DOWNLOAD] Analyzer directory exists: ${fs.existsSync(analyzerDir)}`);
-    
-    if (fs.existsSync(analyzerPath)) {
-      console.log(`[DOWNLOAD] Analyzer already exists, removing old version...`);
-      fs.unlinkSync(analyzerPath);
-    }
+    const tmpDir = process.env.RUNNER_TEMP || os.tmpdir();
     
-    console.log(`[DOWNLOAD] Starting download...`);
+    console.log(`=== Installing analyzer ${settings.analyzerPath ? `from ${settings.analyzerPath}` : analyzerVersion} ===`);
     const downloadStartTime = Date.now();
-    runCmd(`curl -sSL "${analyzerUrl}" -o "${analyzerPath}"`);
-    const downloadDuration = Date.now() - downloadStartTime;
-    console.log(`[DOWNLOAD] Download command completed (took ${downloadDuration}ms)`);
-    
-    if (fs.existsSync(analyzerPath)) {
-      const stats = fs.statSync(analyzerPath);
-      console.log(`[DOWNLOAD] ✓ Analyzer downloaded (size: ${stats.size} bytes)`);
-      if (stats.size === 0) {
-        throw new Error(`Downloaded analyzer file is empty!`);
-      }
-    } else {
-      throw new Error(`Analyzer file not found after download: ${analyzerPath}`);
-    }
-    
-    console.log(`[DOWNLOAD] Making analyzer executable...`);
-    runCmd(`chmod +x "${analyzerPath}"`);
-    const chmodStats = fs.statSync(analyzerPath);
-    const isExecutable = (chmodStats.mode & parseInt('111', 8)) !== 0;
-    if (isExecutable) {
-      console.log(`[DOWNLOAD] ✓ Analyzer made executable`);
-    } else {
-      console.warn(`[DOWNLOAD] WARNING: Analyzer may not be executable (mode: ${chmodStats.mode.toString(8)})`);
-    }
+    const analyzerPath = await resolveAnalyzer(settings, workDir);
+    console.log(`[DOWNLOAD] ✓ Analyzer ready at ${analyzerPath} (took ${Date.now() - downloadStartTime}ms)`);
 
     const startTime = Date.now();
     console.log(`Start time: ${new Date(startTime).toISOString()}`);
 
-    // Head analysis
-    console.log('=== Starting head commit analysis ===');
-    core.startGroup('Analyze head commit');
-    console.log(`[HEAD] Current git SHA: ${headSha}`);
-    console.log(`[HEAD] Verifying git state...`);
-    try {
-      const gitStatus = runCmd('git status --short', { cwd: workDir, encoding: 'utf8' });
-      console.log(`[HEAD] Git status: ${gitStatus || '(clean)'}`);
-    } catch (e) {
-      console.warn(`[HEAD] Could not get git status: ${e.message}`);
-    }
-    
-    console.log(`[HEAD] Checking if cdk.out exists before synth...`);
-    const cdkOutPath = path.join(workDir, 'cdk.out');
-    if (fs.existsSync(cdkOutPath)) {
-      console.log(`[HEAD] cdk.out exists, listing contents...`);
-      try {
-        const cdkOutContents = fs.readdirSync(cdkOutPath);
-        console.log(`[HEAD] cdk.out contains: ${cdkOutContents.join(', ')}`);
-      } catch (e) {
-        console.warn(`[HEAD] Could not list cdk.out: ${e.message}`);
-      }
-    } else {
-      console.log(`[HEAD] cdk.out does not exist yet (will be created by synth)`);
-    }
-    
-    console.log('[HEAD] Running CDK synth for head commit...');
-    const cdkCmd = getCdkSynthCommand(workDir);
-    const synthStartTime = Date.now();
-    try {
-      runCmd(cdkCmd, { cwd: workDir });
-      const synthDuration = Date.now() - synthStartTime;
-      console.log(`[HEAD] ✓ CDK synth completed for head (took ${synthDuration}ms)`);
-    } catch (error) {
-      console.error(`[HEAD] ✗ CDK synth failed: ${error.message}`);
-      if (!hasAwsCredentials()) {
-        core.setFailed(
-          [
-            'CDK synth failed while running without AWS credentials.',
-            'Your CDK app is using context lookups (for example Vpc.fromLookup) which require either:',
-            '  1) A committed cdk.context.json generated by running "cdk synth" locally with AWS credentials, or',
-            '  2) Refactoring your stacks to avoid CDK lookups (e.g. pass VPC / subnet IDs directly instead of using fromLookup).',
-            '',
-            'Once you have either committed cdk.context.json or removed lookups, re-run this workflow.'
-          ].join('\n')
-        );
-        return;
-      }
-      throw error;
-    }
+    const timings = [];
+    
+    const { delta, budgetResult, regionComparison, headStacks, headTemplateSources, headAppDir, headRepoRoot, templateSource } =
+      await analyzeCostDiff({
+        settings,
+        usage,
+        analyzerPath,
+        apiKey,
+        backendUrl,
+        workDir,
+        repoRoot,
+        appPrefix,
+        baseSha,
+        headSha,
+        headNeedsWorktree,
+        tmpDir,
+        timings,
+        worktrees,
+      });
     
-    console.log(`[HEAD] Verifying cdk.out after synth...`);
-    if (fs.existsSync(cdkOutPath)) {
+    // Written before any API call so the report survives tokens that cannot
+    // comment. A shortened comment links the run only if this succeeded.
+    let jobSummaryWritten = false;
+    if (settings.jobSummary) {
+      console.log('=== Writing job summary ===');
       try {
-        const cdkOutContents = fs.readdirSync(cdkOutPath);
-        console.log(`[HEAD] cdk.out now contains: ${cdkOutContents.join(', ')}`);
-      } catch (e) {
-        console.warn(`[HEAD] Could not list cdk.out after synth: ${e.message}`);
+        await writeJobSummary(delta, budgetResult, {
+          title: commentTitle,
+          details: {
+            Repository: `${context.repo.owner}/${context.repo.repo}`,
+            Event: context.eventName,
+            ...(pullNumber ? { 'Pull request': `#${pullNumber}` } : {}),
+            Base: `${baseLabel} (${baseSha})`,
+            Head: `${headLabel} (${headSha})`,
+            'Template source': templateSource,
+            'Analyzer version': analyzerVersion,
+            'Default region': region,
+            'Usage profile': usageProfile,
+            'Generated at': new Date().toISOString(),
+          },
+        });
+        jobSummaryWritten = true;
+      } catch (err) {
+        core.warning(`Could not write the job summary: ${err.message}`);
       }
-    } else {
-      console.error(`[HEAD] ✗ cdk.out still does not exist after synth!`);
-      throw new Error('CDK synth did not create cdk.out directory');
-    }
-    
-    // Compute hashes for HEAD templates
-    console.log(`[HEAD] Computing template hashes...`);
-    const headHashes = computeTemplateHashes(cdkOutPath);
-    console.log(`[HEAD] ✓ Computed ${headHashes.size} template hashes`);
-    
-    console.log(`[HEAD] Copying cdk.out to head snapshot directory...`);
-    copyDir(cdkOutPath, headCdkOutSnapshot);
-    console.log(`[HEAD] ✓ Head cdk.out snapshot created at: ${headCdkOutSnapshot}`);
-    
-    console.log('[HEAD] Verifying analyzer binary exists...');
-    if (!fs.existsSync(analyzerPath)) {
-      throw new Error(`Analyzer binary not found at: ${analyzerPath}`);
     }
-    const analyzerStats = fs.statSync(analyzerPath);
-    console.log(`[HEAD] Analyzer binary exists (${analyzerStats.size} bytes, executable: ${(analyzerStats.mode & parseInt('111', 8)) !== 0})`);
-    core.endGroup();
 
-    // Base analysis
-    console.log('=== Starting base commit analysis ===');
-    core.startGroup('Analyze base commit');
-    console.log(`[BASE] Checking out base SHA: ${baseSha}`);
-    const checkoutStartTime = Date.now();
-    runCmd(`git checkout ${baseSha}`, { cwd: workDir });
-    const checkoutDuration = Date.now() - checkoutStartTime;
-    console.log(`[BASE] ✓ Checked out base commit (took ${checkoutDuration}ms)`);
-    
-    console.log(`[BASE] Verifying git state after checkout...`);
-    try {
-      const currentSha = runCmd('git rev-parse HEAD', { cwd: workDir, encoding: 'utf8' }).trim();
-      console.log(`[BASE] Current HEAD SHA: ${currentSha}`);
-      if (currentSha !== baseSha) {
-        console.warn(`[BASE] WARNING: Current SHA (${currentSha}) does not match expected base SHA (${baseSha})`);
-      }
-    } catch (e) {
-      console.warn(`[BASE] Could not verify git SHA: ${e.message}`);
-    }
-    
-    console.log(`[BASE] Cleaning up old cdk.out if exists...`);
-    const baseCdkOutPath = path.join(workDir, 'cdk.out');
-    if (fs.existsSync(baseCdkOutPath)) {
-      try {
-        fs.rmSync(baseCdkOutPath, { recursive: true, force: true });
-        console.log(`[BASE] Removed old cdk.out`);
-      } catch (e) {
-        console.warn(`[BASE] Could not remove old cdk.out: ${e.message}`);
-      }
-    }
-    
-    console.log('[BASE] Running CDK synth for base commit...');
-    const baseCdkCmd = getCdkSynthCommand(workDir);
-    const baseSynthStartTime = Date.now();
-    try {
-      runCmd(baseCdkCmd, { cwd: workDir });
-      const baseSynthDuration = Date.now() - baseSynthStartTime;
-      console.log(`[BASE] ✓ CDK synth completed for base (took ${baseSynthDuration}ms)`);
-    } catch (error) {
-      console.error(`[BASE] ✗ CDK synth failed: ${error.message}`);
-      if (!hasAwsCredentials()) {
-        core.setFailed(
-          [
-            'CDK synth for the base commit failed while running without AWS credentials.',
-            'Your CDK app is using context lookups (for example Vpc.fromLookup) which require either:',
-            '  1) A committed cdk.context.json generated by running "cdk synth" locally with AWS credentials, or',
-            '  2) Refactoring your stacks to avoid CDK lookups (e.g. pass VPC / subnet IDs directly instead of using fromLookup).',
-            '',
-            'Once you have either committed cdk.context.json or removed lookups, re-run this workflow.'
-          ].join('\n')
-        );
-        return;
-      }
-      throw error;
-    }
-    
-    console.log(`[BASE] Verifying cdk.out after synth...`);
-    if (fs.existsSync(baseCdkOutPath)) {
-      try {
-        const cdkOutContents = fs.readdirSync(baseCdkOutPath);
-        console.log(`[BASE] cdk.out contains: ${cdkOutContents.join(', ')}`);
-      } catch (e) {
-        console.warn(`[BASE] Could not list cdk.out after synth: ${e.message}`);
-      }
-    } else {
-      console.error(`[BASE] ✗ cdk.out does not exist after synth!`);
-      throw new Error('CDK synth did not create cdk.out directory for base');
-    }
-    
-    // Compute hashes for BASE templates
-    console.log(`[BASE] Computing template hashes...`);
-    const baseHashes = computeTemplateHashes(baseCdkOutPath);
-    console.log(`[BASE] ✓ Computed ${baseHashes.size} template hashes`);
-    
-    console.log(`[BASE] Copying cdk.out to base snapshot directory...`);
-    copyDir(baseCdkOutPath, baseCdkOutSnapshot);
-    console.log(`[BASE] ✓ Base cdk.out snapshot created at: ${baseCdkOutSnapshot}`);
-    
-    // Determine which stacks changed between base and head
-    const changedStacks = new Set();
-    if (baseHashes && headHashes) {
-      for (const [stackName, baseHash] of baseHashes.entries()) {
-        const headHash = headHashes.get(stackName);
-        if (!headHash || headHash !== baseHash) {
-          changedStacks.add(stackName);
-        }
-      }
-      for (const stackName of headHashes.keys()) {
-        if (!baseHashes.has(stackName)) {
-          changedStacks.add(stackName);
-        }
-      }
-      console.log(
-        `[STACKS] Changed stacks based on template hashes: ${
-          Array.from(changedStacks).join(', ') || '(none)'
-        }`
-      );
-    } else {
-      console.log('[STACKS] Hash maps missing; analyzer will run on all stacks (no --stack filter)');
-    }
-    
-    // Build --stack arguments for analyzer based on changed stacks
-    const headStackArgs = [];
-    const baseStackArgs = [];
-    if (changedStacks.size > 0) {
-      console.log(
-        `[STACKS] Applying stack filter to analyzer for ${changedStacks.size} stack(s)`
-      );
-      for (const stackName of changedStacks) {
-        const headTemplate = path.join(headCdkOutSnapshot, `${stackName}.template.json`);
-        if (fs.existsSync(headTemplate)) {
-          headStackArgs.push(`--stack "${headTemplate}"`);
-        } else {
-          console.log(
-            `[STACKS] [HEAD] No template for stack "${stackName}" at ${headTemplate}, skipping`
-          );
-        }
-        
-        const baseTemplate = path.join(baseCdkOutSnapshot, `${stackName}.template.json`);
-        if (fs.existsSync(baseTemplate)) {
-          baseStackArgs.push(`--stack "${baseTemplate}"`);
-        } else {
-          console.log(
-            `[STACKS] [BASE] No template for stack "${stackName}" at ${baseTemplate}, skipping`
-          );
-        }
-      }
-      console.log(
-        `[STACKS] [HEAD] Will pass ${headStackArgs.length} --stack arg(s) to analyzer`
-      );
-      console.log(
-        `[STACKS] [BASE] Will pass ${baseStackArgs.length} --stack arg(s) to analyzer`
-      );
-    } else {
-      console.log(
-        '[STACKS] No changed stacks detected; analyzer will run on all stacks (no --stack filter)'
-      );
-    }
-    
-    console.log('[BASE] Running analyzer for base commit (using snapshot)...');
-    const baseAnalyzerCmd = `"${analyzerPath}" ` +
-      `--cdk-out "${baseCdkOutSnapshot}" ` +
-      `--region ${region} ` +
-      `--usage-profile ${usageProfile} ` +
-      `--out-json "${baseJson}" ` +
-      `--out-md "${path.join(tmpDir, 'cloudcost-base-report.md')}" ` +
-      `--api-key "${apiKey}" ` +
-      `--backend-url "${backendUrl}" ` +
-      baseStackArgs.join(' ');
-    console.log(`[BASE] Analyzer command (sanitized): ${baseAnalyzerCmd.replace(apiKey, '***')}`);
-    console.log(`[BASE] Backend URL: ${backendUrl}`);
-    console.log(`[BASE] Expected output JSON: ${baseJson}`);
-    
-    // Log what backend requests the analyzer will make
-    console.log(`[BASE] [BACKEND] Analyzer will make requests to backend:`);
-    console.log(`[BASE] [BACKEND]   - Base URL: ${backendUrl}`);
-    console.log(`[BASE] [BACKEND]   - API Key: Set (${apiKey.length} chars, starts with: ${apiKey.substring(0, 4)}...)`);
-    console.log(`[BASE] [BACKEND]   - Region: ${region}`);
-    console.log(`[BASE] [BACKEND]   - Usage Profile: ${usageProfile}`);
-    console.log(`[BASE] [BACKEND]   - The analyzer will query pricing data from the backend API`);
-    console.log(`[BASE] [BACKEND]   - Watch for analyzer's HTTP request logs above`);
-    
-    const baseAnalyzerStartTime = Date.now();
-    console.log(`[BASE] [BACKEND] Starting analyzer execution (will make backend requests)...`);
-    runCmd(baseAnalyzerCmd, { cwd: workDir });
-    const baseAnalyzerDuration = Date.now() - baseAnalyzerStartTime;
-    console.log(`[BASE] Analyzer command completed (took ${baseAnalyzerDuration}ms)`);
-    console.log(`[BASE] [BACKEND] Analyzer execution finished - check above for any HTTP request logs from the analyzer`);
-    
-    console.log('[HEAD] Running analyzer for head commit (using snapshot)...');
-    const headAnalyzerCmd = `"${analyzerPath}" ` +
-      `--cdk-out "${headCdkOutSnapshot}" ` +
-      `--region ${region} ` +
-      `--usage-profile ${usageProfile} ` +
-      `--out-json "${headJson}" ` +
-      `--out-md "${path.join(tmpDir, 'cloudcost-head-report.md')}" ` +
-      `--api-key "${apiKey}" ` +
-      `--backend-url "${backendUrl}" ` +
-      headStackArgs.join(' ');
-    console.log(`[HEAD] Analyzer command (sanitized): ${headAnalyzerCmd.replace(apiKey, '***')}`);
-    console.log(`[HEAD] Backend URL: ${backendUrl}`);
-    console.log(`[HEAD] Expected output JSON: ${headJson}`);
-    
-    // Log what backend requests the analyzer will make
-    console.log(`[HEAD] [BACKEND] Analyzer will make requests to backend:`);
-    console.log(`[HEAD] [BACKEND]   - Base URL: ${backendUrl}`);
-    console.log(`[HEAD] [BACKEND]   - API Key: Set (${apiKey.length} chars, starts with: ${apiKey.substring(0, 4)}...)`);
-    console.log(`[HEAD] [BACKEND]   - Region: ${region}`);
-    console.log(`[HEAD] [BACKEND]   - Usage Profile: ${usageProfile}`);
-    console.log(`[HEAD] [BACKEND]   - The analyzer will query pricing data from the backend API`);
-    console.log(`[HEAD] [BACKEND]   - Watch for analyzer's HTTP request logs above`);
-    
-    const headAnalyzerStartTime = Date.now();
-    console.log(`[HEAD] [BACKEND] Starting analyzer execution (will make backend requests)...`);
-    runCmd(headAnalyzerCmd, { cwd: workDir });
-    const headAnalyzerDuration = Date.now() - headAnalyzerStartTime;
-    console.log(`[HEAD] Analyzer command completed (took ${headAnalyzerDuration}ms)`);
-    console.log(`[HEAD] [BACKEND] Analyzer execution finished - check above for any HTTP request logs from the analyzer`);
-    
-    console.log(`[HEAD] Checking for head report file...`);
-    if (fs.existsSync(headJson)) {
-      const stats = fs.statSync(headJson);
-      console.log(`[HEAD] ✓ Head report generated (size: ${stats.size} bytes)`);
-      if (stats.size === 0) {
-        console.error(`[HEAD] ✗ Head report file is empty!`);
-        throw new Error(`Head report file is empty: ${headJson}`);
-      }
-      // Log first few lines of the report for debugging
-      try {
-        const reportPreview = fs.readFileSync(headJson, 'utf8').substring(0, 500);
-        console.log(`[HEAD] Report preview: ${reportPreview}...`);
-      } catch (e) {
-        console.warn(`[HEAD] Could not read report preview: ${e.message}`);
-      }
-    } else {
-      console.error(`[HEAD] ✗ Head report file not found: ${headJson}`);
-      console.error(`[HEAD] Listing temp directory contents...`);
+    console.log(`[PR] Creating Octokit client...`);
+    const octokit = github.getOctokit(githubToken);
+    console.log(`[PR] ✓ Octokit client created`);
+
+    // The previous comment carries the run history, so this push can be
+    // compared with the one reviewers already saw
+    const marker = commentMarker(settings.commentKey);
+    let previousComments;
+    let previousState = null;
+    if (settings.prComment && pullNumber) {
       try {
-        const tempContents = fs.readdirSync(tmpDir);
-        console.error(`[HEAD] Temp directory contains: ${tempContents.join(', ')}`);
-      } catch (e) {
-        console.error(`[HEAD] Could not list temp directory: ${e.message}`);
+        previousComments = await findPrComments(octokit, pullNumber, marker);
+        const latest = previousComments[previousComments.length - 1];
+        previousState = latest ? readCommentState(latest.body) : null;
+        console.log(`[HISTORY] ${previousState ? `Found ${previousState.history.length} previous run(s)` : 'No previous runs recorded'}`);
+      } catch (err) {
+        core.warning(`Could not read previous CloudCost comments: ${err.message}`);
       }
-      throw new Error(`Head report file not found: ${headJson}`);
     }
-    
-    console.log(`[BASE] Checking for base report file...`);
-    if (fs.existsSync(baseJson)) {
-      const stats = fs.statSync(baseJson);
-      console.log(`[BASE] ✓ Base report generated (size: ${stats.size} bytes)`);
-      if (stats.size === 0) {
-        console.error(`[BASE] ✗ Base report file is empty!`);
-        throw new Error(`Base report file is empty: ${baseJson}`);
-      }
-      // Log first few lines of the report for debugging
-      try {
-        const reportPreview = fs.readFileSync(baseJson, 'utf8').substring(0, 500);
-        console.log(`[BASE] Report preview: ${reportPreview}...`);
-      } catch (e) {
-        console.warn(`[BASE] Could not read report preview: ${e.message}`);
-      }
-    } else {
-      console.error(`[BASE] ✗ Base report file not found: ${baseJson}`);
-      console.error(`[BASE] Listing temp directory contents...`);
-      try {
-        const tempContents = fs.readdirSync(tmpDir);
-        console.error(`[BASE] Temp directory contains: ${tempContents.join(', ')}`);
-      } catch (e) {
-        console.error(`[BASE] Could not list temp directory: ${e.message}`);
-      }
-      throw new Error(`Base report file not found: ${baseJson}`);
+    const commentState = buildCommentState(previousState, delta, headSha);
+    const stateBlock = encodeCommentState(commentState);
+    const pushDelta = computePushDelta(previousState, delta, headSha);
+    if (pushDelta) {
+      console.log(`[HISTORY] This push vs ${pushDelta.previousSha.substring(0, 7)}: ${formatUsd(pushDelta.diff)}`);
     }
-    
-    console.log(`Checking out head SHA: ${headSha}`);
-    runCmd(`git checkout ${headSha}`, { cwd: workDir });
-    console.log('✓ Checked out head commit');
-    core.endGroup();
 
-    console.log('=== Computing cost delta ===');
-    const baseReport = readJson(baseJson);
-    console.log(`Base report total: $${baseReport.grand_total_usd || 'N/A'}`);
-    console.log(`Base report stacks: ${(baseReport.stacks || []).length}`);
-    
-    const headReport = readJson(headJson);
-    console.log(`Head report total: $${headReport.grand_total_usd || 'N/A'}`);
-    console.log(`Head report stacks: ${(headReport.stacks || []).length}`);
-
-    console.log('=== Logging cost estimates ===');
-    core.startGroup('Cost Estimates');
-    logCostEstimate(headReport, 'HEAD');
-    logCostEstimate(baseReport, 'BASE');
-    core.endGroup();
-    console.log('=== Finished logging cost estimates ===');
-    
-    console.log('=== Computing cost delta with hash-based optimization ===');
-    const delta = computeDelta(baseReport, headReport, baseHashes, headHashes);
-    console.log(`Delta computed:`);
-    console.log(`  Base total: $${delta.total.base.toFixed(2)}`);
-    console.log(`  Head total: $${delta.total.head.toFixed(2)}`);
-    console.log(`  Delta: $${delta.total.diff.toFixed(2)}`);
-    console.log(`  Stacks with changes: ${delta.stacks.length}`);
-    console.log(`  Unchanged stacks (skipped AI analysis): ${delta.unchangedStacksCount || 0}`);
-    
-    const markdown = renderMarkdown(delta, commentTitle);
+    const runUrl = `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}`;
+    const markdown = renderMarkdown(delta, commentTitle, budgetResult, {
+      // The job summary holds the complete data only when it was written
+      overflowNotice: jobSummaryWritten
+        ? `See the [workflow run](${runUrl}) for the full report.`
+        : 'The full report is in the report files; upload the `report-dir` output as an artifact to keep it.',
+      maxLength: MAX_COMMENT_LENGTH - stateBlock.length - 1,
+      marker,
+      history: { pushDelta, entries: commentState.history },
+      regionComparison,
+      logger: console,
+    });
     console.log(`Markdown generated (length: ${markdown.length} chars)`);
 
     console.log('=== Setting action outputs ===');
@@ -1363,20 +3393,80 @@ async function main() {
     core.setOutput('head-total', delta.total.head);
     core.setOutput('base-total', delta.total.base);
     core.setOutput('delta-total', delta.total.diff);
+    core.setOutput('budget-exceeded', budgetResult.exceeded ? 'true' : 'false');
+    core.setOutput('cheapest-region', regionComparison ? regionComparison.cheapestRegion : '');
     console.log('✓ Action outputs set');
 
-    console.log('=== Posting PR comment ===');
-    console.log(`[PR] Creating Octokit client...`);
-    const octokit = github.getOctokit(githubToken);
-    console.log(`[PR] ✓ Octokit client created`);
-    console.log(`[PR] Markdown length: ${markdown.length} chars`);
-    console.log(`[PR] Update existing: ${updateExisting}`);
-    console.log(`[PR] Comment title: ${commentTitle}`);
-    
-    const commentStartTime = Date.now();
-    await upsertPrComment(octokit, markdown, updateExisting, commentTitle);
-    const commentDuration = Date.now() - commentStartTime;
-    console.log(`[PR] ✓ PR comment posted successfully (took ${commentDuration}ms)`);
+    // Annotations and SARIF results point at the resource's source; resources
+    // that cannot be traced fall back to the CDK app or template file
+    const locateSource = createSourceLocator({
+      appDir: headAppDir,
+      repoRoot: headRepoRoot,
+      stacks: headStacks,
+      templateSources: headTemplateSources,
+    });
+    const toRepoPath = (file) => path.relative(headRepoRoot, file).split(path.sep).join('/');
+    const locateOrFallback = (stackName, logicalId) =>
+      locateSource(stackName, logicalId) || {
+        path: headTemplateSources && headTemplateSources.has(stackName)
+          ? toRepoPath(path.join(headAppDir, headTemplateSources.get(stackName)))
+          : toRepoPath(path.join(headAppDir, 'cdk.json')),
+        line: 1,
+      };
+
+    console.log('=== Writing report files ===');
+    const reportDir = path.resolve(workDir, settings.reportDir || path.join(tmpDir, 'cloudcost-reports'));
+    const reportFiles = writeReportFiles(
+      reportDir,
+      delta,
+      budgetResult,
+      { repository: `${context.repo.owner}/${context.repo.repo}`, baseSha, headSha },
+      {
+        warningIncrease: settings.sarifWarningIncrease,
+        errorIncrease: settings.sarifErrorIncrease,
+        locate: locateOrFallback,
+      },
+    );
+    core.setOutput('report-dir', reportDir);
+    core.setOutput('report-json', reportFiles.json);
+    core.setOutput('report-schema', reportFiles.schema);
+    core.setOutput('report-csv', reportFiles.csv);
+    core.setOutput('report-sarif', reportFiles.sarif);
+
+    if (settings.checkRun) {
+      console.log('=== Publishing check run ===');
+      await timePhase(timings, 'Check run', async () => {
+        await publishCheckRun(octokit, {
+          name: settings.commentKey ? `${commentTitle} (${settings.commentKey})` : commentTitle,
+          headSha,
+          conclusion: checkRunConclusion(delta, budgetResult),
+          title: `${formatUsd(delta.total.diff)}/month (${formatUsd(delta.total.base)} → ${formatUsd(delta.total.head)})`,
+          summary: markdown,
+          annotations: buildCheckAnnotations(delta, locateSource),
+        });
+      });
+    }
+
+    if (settings.prComment && pullNumber) {
+      console.log('=== Posting PR comment ===');
+      console.log(`[PR] Markdown length: ${markdown.length} chars`);
+      console.log(`[PR] Previous comments: ${settings.previousComments}`);
+      console.log(`[PR] Comment title: ${commentTitle}`);
+      
+      const commentStartTime = Date.now();
+      await upsertPrComment(octokit, `${markdown}\n${stateBlock}`, {
+        policy: settings.previousComments,
+        marker,
+        comments: previousComments,
+      });
+      const commentDuration = Date.now() - commentStartTime;
+      timings.push({ phase: 'PR comment', durationMs: commentDuration });
+      console.log(`[PR] ✓ PR comment posted successfully (took ${commentDuration}ms)`);
+    } else if (!pullNumber) {
+      console.log(`[PR] No pull request for a ${context.eventName} event; skipping comment`);
+    } else {
+      console.log('[PR] PR comments disabled; skipping comment');
+    }
 
     if (enableUsageReporting) {
       const durationMs = Date.now() - startTime;
@@ -1391,7 +3481,7 @@ async function main() {
         const usagePayload = {
           repo: context.repo.owner + '/' + context.repo.repo,
           commit: headSha,
-          pr: pull.number,
+          pr: pullNumber,
           duration_ms: durationMs,
           head_total: delta.total.head,
           base_total: delta.total.base,
@@ -1404,7 +3494,7 @@ async function main() {
         console.log(`[USAGE] [BACKEND] Request method: POST`);
         console.log(`[USAGE] [BACKEND] Request headers:`);
         console.log(`[USAGE] [BACKEND]   - Content-Type: application/json`);
-        console.log(`[USAGE] [BACKEND]   - Authorization: Bearer *** (${apiKey.length} chars)`);
+        console.log('[USAGE] [BACKEND]   - Authorization: Bearer ***');
         console.log(`[USAGE] [BACKEND] Request payload: ${JSON.stringify(usagePayload, null, 2)}`);
         console.log(`[USAGE] [BACKEND] Payload size: ${JSON.stringify(usagePayload).length} bytes`);
         
@@ -1499,6 +3589,18 @@ async function main() {
       console.log('Usage reporting is disabled, skipping...');
     }
     
+    logTimings(timings, Date.now() - startTime);
+    
+    if (budgetResult.exceeded) {
+      core.setFailed(
+        [
+          'CloudCost budget exceeded:',
+          ...budgetResult.breaches.map((b) => `  - ${b.message}`),
+        ].join('\n')
+      );
+      return;
+    }
+    
     console.log('========================================');
     console.log('CloudCost GitHub Action - Completed Successfully');
     console.log('========================================');
@@ -1507,12 +3609,12 @@ async function main() {
     console.error('CloudCost GitHub Action - Failed');
     console.error('========================================');
     console.error(`[ERROR] Error type: ${error.constructor.name}`);
-    console.error(`[ERROR] Error message: ${error.message || String(error)}`);
+    console.error(`[ERROR] Error message: ${redactSecrets(error.message || String(error))}`);
     console.error(`[ERROR] Error name: ${error.name || 'N/A'}`);
     
     if (error.stack) {
       console.error(`[ERROR] Stack trace:`);
-      console.error(error.stack);
+      console.error(redactSecrets(error.stack));
     }
     
     if (error.status) {
@@ -1525,12 +3627,12 @@ async function main() {
     
     if (error.response) {
       console.error(`[ERROR] Response status: ${error.response.status}`);
-      console.error(`[ERROR] Response data: ${JSON.stringify(error.response.data)}`);
-      console.error(`[ERROR] Response headers: ${JSON.stringify(error.response.headers)}`);
+      console.error(`[ERROR] Response data: ${redactSecrets(JSON.stringify(error.response.data))}`);
+      console.error(`[ERROR] Response headers: ${redactSecrets(JSON.stringify(error.response.headers))}`);
     }
     
     if (error.cause) {
-      console.error(`[ERROR] Error cause: ${JSON.stringify(error.cause)}`);
+      console.error(`[ERROR] Error cause: ${redactSecrets(JSON.stringify(error.cause))}`);
     }
     
     // Log current state for debugging
@@ -1538,60 +3640,78 @@ async function main() {
     console.error(`[ERROR] Node version: ${process.version}`);
     console.error(`[ERROR] Platform: ${process.platform} ${process.arch}`);
     
-    core.setFailed(error.message || String(error));
+    core.setFailed(redactSecrets(error.message || String(error)));
+  } finally {
+    for (const worktree of worktrees) {
+      removeWorktree(worktree.label, worktree.repoRoot, worktree.dir);
+    }
   }
 }
 
-// Add unhandled error handlers to catch any errors that escape try-catch blocks
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('========================================');
-  console.error('[UNHANDLED] Unhandled Promise Rejection');
-  console.error('========================================');
-  console.error(`[UNHANDLED] Reason: ${reason}`);
-  console.error(`[UNHANDLED] Promise: ${promise}`);
-  if (reason && typeof reason === 'object' && reason.stack) {
-    console.error(`[UNHANDLED] Stack: ${reason.stack}`);
-  }
-  if (process.stderr.flush) process.stderr.flush();
-  core.setFailed(`Unhandled promise rejection: ${reason}`);
-  process.exit(1);
-});
-
-process.on('uncaughtException', (error) => {
-  console.error('========================================');
-  console.error('[UNHANDLED] Uncaught Exception');
-  console.error('========================================');
-  console.error(`[UNHANDLED] Error: ${error.message || String(error)}`);
-  if (error.stack) {
-    console.error(`[UNHANDLED] Stack: ${error.stack}`);
-  }
-  if (process.stderr.flush) process.stderr.flush();
-  core.setFailed(`Uncaught exception: ${error.message || String(error)}`);
-  process.exit(1);
-});
-
-// Ensure we catch any errors during startup
-(async () => {
-  try {
-    console.log('[STARTUP] Calling main()...');
-    
-    // Await the main function to ensure it completes before the process exits
-    await main();
-    
-    console.log('[STARTUP] main() completed successfully');
-    // Force flush before exit
-    if (process.stdout.flush) process.stdout.flush();
+module.exports = {
+  loadRepoConfig,
+  loadUsageFile,
+  registerSecret,
+  resolveSettings,
+  installAnalyzer,
+  resolveAnalyzer,
+  captureCmd,
+  resolveGitRef,
+  removeWorktree,
+  analyzeCostDiff,
+};
+
+if (isActionEntryPoint) {
+  // Add unhandled error handlers to catch any errors that escape try-catch blocks
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('========================================');
+    console.error('[UNHANDLED] Unhandled Promise Rejection');
+    console.error('========================================');
+    console.error(`[UNHANDLED] Reason: ${redactSecrets(reason)}`);
+    console.error(`[UNHANDLED] Promise: ${promise}`);
+    if (reason && typeof reason === 'object' && reason.stack) {
+      console.error(`[UNHANDLED] Stack: ${redactSecrets(reason.stack)}`);
+    }
     if (process.stderr.flush) process.stderr.flush();
-  } catch (error) {
-    console.error(`[STARTUP] Error in main(): ${error.message || String(error)}`);
+    core.setFailed(`Unhandled promise rejection: ${redactSecrets(reason)}`);
+    process.exit(1);
+  });
+
+  process.on('uncaughtException', (error) => {
+    console.error('========================================');
+    console.error('[UNHANDLED] Uncaught Exception');
+    console.error('========================================');
+    console.error(`[UNHANDLED] Error: ${redactSecrets(error.message || String(error))}`);
     if (error.stack) {
-      console.error(`[STARTUP] Stack trace: ${error.stack}`);
+      console.error(`[UNHANDLED] Stack: ${redactSecrets(error.stack)}`);
     }
-    // Force flush before exit
-    if (process.stdout.flush) process.stdout.flush();
     if (process.stderr.flush) process.stderr.flush();
-    core.setFailed(error.message || String(error));
+    core.setFailed(`Uncaught exception: ${redactSecrets(error.message || String(error))}`);
     process.exit(1);
-  }
-})();
+  });
 
+  // Ensure we catch any errors during startup
+  (async () => {
+    try {
+      console.log('[STARTUP] Calling main()...');
+    
+      // Await the main function to ensure it completes before the process exits
+      await main();
+    
+      console.log('[STARTUP] main() completed successfully');
+      // Force flush before exit
+      if (process.stdout.flush) process.stdout.flush();
+      if (process.stderr.flush) process.stderr.flush();
+    } catch (error) {
+      console.error(`[STARTUP] Error in main(): ${redactSecrets(error.message || String(error))}`);
+      if (error.stack) {
+        console.error(`[STARTUP] Stack trace: ${redactSecrets(error.stack)}`);
+      }
+      // Force flush before exit
+      if (process.stdout.flush) process.stdout.flush();
+      if (process.stderr.flush) process.stderr.flush();
+      core.setFailed(redactSecrets(error.message || String(error)));
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,1157 @@
+/**
+ * Delta engine: turns two analyzer reports into a cost delta, checks it
+ * against budgets and renders it as Markdown or an exportable document.
+ * Everything here is pure; it has no GitHub, git or filesystem access, so it
+ * can run on stored reports outside the action.
+ */
+const path = require('path');
+
+/**
+ * @typedef {Object} AnalyzerReport  Analyzer `--out-json` output
+ * @property {number} [grand_total_usd]
+ * @property {Array<{name: string, display_name?: string, account?: string, region?: string,
+ *   priced_region?: string, total_monthly_usd?: number, items?: Object[]}>} [stacks]
+ *
+ * @typedef {Object} BreakdownEntry  One cost component of a resource
+ * @property {string} name
+ * @property {string} units
+ * @property {number|undefined} ratePerUnit
+ * @property {number} monthlyCost
+ *
+ * @typedef {Object} MergedBreakdownEntry  A component priced on both sides
+ * @property {string} name
+ * @property {string} units
+ * @property {number|undefined} ratePerUnit
+ * @property {number} base
+ * @property {number} head
+ * @property {number} diff
+ *
+ * @typedef {Object} ResourceDelta
+ * @property {string} service
+ * @property {string} logicalId
+ * @property {string} [cdkPath]
+ * @property {string} stackName
+ * @property {number} base  monthly USD
+ * @property {number} head  monthly USD
+ * @property {number} diff  monthly USD
+ * @property {string[]} notes
+ * @property {BreakdownEntry[]} breakdownBase
+ * @property {BreakdownEntry[]} breakdownHead
+ *
+ * @typedef {Object} StackDelta
+ * @property {string} stackName
+ * @property {string|null} account
+ * @property {string|null} region
+ * @property {number} base
+ * @property {number} head
+ * @property {number} diff
+ * @property {ResourceDelta[]} items  changed resources, largest |diff| first
+ * @property {boolean} unchanged  template hash unchanged; priced from base
+ *
+ * @typedef {Object} Delta
+ * @property {{base: number, head: number, diff: number}} total
+ * @property {StackDelta[]} stacks  largest |diff| first
+ * @property {number} unchangedStacksCount
+ *
+ * @typedef {Object} Budget
+ * @property {number} [maxIncreaseUsd]
+ * @property {number} [maxIncreasePct]
+ * @property {Map<string, number>} [stackLimits]
+ *
+ * @typedef {Object} BudgetBreach
+ * @property {string} scope
+ * @property {string} limit
+ * @property {string} actual
+ * @property {string} message
+ *
+ * @typedef {Object} BudgetResult
+ * @property {boolean} enabled
+ * @property {boolean} exceeded
+ * @property {BudgetBreach[]} breaches
+ *
+ * @typedef {{log: Function, warn: Function}} Logger
+ */
+
+const SILENT_LOGGER = { log() {}, warn() {} };
+
+function formatUsageAssumptions(quantities) {
+  return Object.entries(quantities || {})
+    .map(([quantity, value]) => `${quantity}: ${value.toLocaleString('en-US')}`)
+    .join(', ');
+}
+
+/**
+ * Strips directories and the .template.json suffix from analyzer stack names,
+ * which may be template paths. Display names are returned unchanged.
+ */
+function normalizeStackName(stackName) {
+  if (!stackName || !/\.template\.json$/i.test(stackName)) return stackName;
+  return path.basename(stackName).replace(/\.template\.json$/i, '');
+}
+
+/**
+ * Builds the stack × region matrix from one delta per compared region. The
+ * cheapest region is the one with the lowest head total; per stack, the
+ * cheapest region is marked the same way.
+ */
+function buildRegionComparison(regionDeltas) {
+  const regions = regionDeltas.map(({ region }) => region);
+  const stacks = new Map();
+  const totals = {};
+  for (const { region, delta } of regionDeltas) {
+    totals[region] = { ...delta.total };
+    for (const stack of delta.stacks || []) {
+      if (!stacks.has(stack.stackName)) {
+        stacks.set(stack.stackName, { stackName: stack.stackName, byRegion: {} });
+      }
+      stacks.get(stack.stackName).byRegion[region] = { base: stack.base, head: stack.head, diff: stack.diff };
+    }
+  }
+
+  const cheapestOf = (byRegion) =>
+    regions
+      .filter((region) => byRegion[region])
+      .reduce((best, region) => (!best || byRegion[region].head < byRegion[best].head ? region : best), null);
+
+  const stackRows = Array.from(stacks.values())
+    .map((row) => ({ ...row, cheapestRegion: cheapestOf(row.byRegion) }))
+    .sort((a, b) => {
+      const maxDiff = (row) => Math.max(...Object.values(row.byRegion).map((c) => Math.abs(c.diff)));
+      return maxDiff(b) - maxDiff(a);
+    });
+
+  return { regions, totals, stacks: stackRows, cheapestRegion: cheapestOf(totals) };
+}
+
+/**
+ * Normalize a single breakdown entry into a consistent shape:
+ *   { name, units, ratePerUnit, monthlyCost }
+ * Returns null for anything that is not an object.
+ *
+ * This is intentionally defensive so that it can support multiple
+ * possible field names from the analyzer while remaining backwards
+ * compatible if the breakdown data is absent.
+ *
+ * @param {Object} raw
+ * @returns {BreakdownEntry|null}
+ */
+function normalizeBreakdownEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const name =
+    raw.name ||
+    raw.component ||
+    raw.Component ||
+    raw.LogicalID ||
+    'Unknown';
+
+  const units = raw.units || raw.Units || '';
+
+  const ratePerUnitRaw =
+    raw.ratePerUnit ??
+    raw.rate_per_unit ??
+    raw.RatePerUnit;
+  const ratePerUnit =
+    typeof ratePerUnitRaw === 'number' && Number.isFinite(ratePerUnitRaw)
+      ? ratePerUnitRaw
+      : 0;
+
+  const monthlyCostRaw =
+    raw.monthlyCost ??
+    raw.monthly_cost ??
+    raw['Est. Monthly Cost'];
+  const monthlyCost =
+    typeof monthlyCostRaw === 'number' && Number.isFinite(monthlyCostRaw)
+      ? monthlyCostRaw
+      : 0;
+
+  return { name, units, ratePerUnit, monthlyCost };
+}
+
+/**
+ * Extract and normalize the cost breakdown array from an analyzer item.
+ *
+ * The new schema defines a `CostBreakdown` array with entries:
+ *   { name, units, ratePerUnit, monthlyCost }
+ *
+ * To be resilient to changes and casing differences, we check a few
+ * common property names. If no breakdown is present, this returns [].
+ *
+ * @param {Object} item  analyzer report item
+ * @returns {BreakdownEntry[]}
+ */
+function extractBreakdown(item) {
+  if (!item || typeof item !== 'object') return [];
+
+  const rawArray =
+    item.CostBreakdown ||
+    item.costBreakdown ||
+    item.cost_breakdown ||
+    item.breakdown ||
+    [];
+
+  if (!Array.isArray(rawArray)) return [];
+
+  const result = [];
+  for (const raw of rawArray) {
+    const normalized = normalizeBreakdownEntry(raw);
+    if (!normalized) continue;
+    // Ignore completely zero rows to avoid noise
+    if (
+      normalized.monthlyCost === 0 &&
+      normalized.ratePerUnit === 0
+    ) {
+      continue;
+    }
+    result.push(normalized);
+  }
+
+  return result;
+}
+
+/**
+ * Indexes an analyzer report by stack display name and, within each stack,
+ * by logical ID, normalizing old and new analyzer item schemas to
+ * `{ logical_id, service, monthly_usd, CostBreakdown, cdk_path, notes }`.
+ * The report total falls back to the sum of stack totals.
+ *
+ * @param {AnalyzerReport} report
+ * @returns {{stacks: Map<string, {name: string, fullPath: string, account: string|null,
+ *   region: string|null, total: number, items: Map<string, Object>}>, total: number}}
+ */
+function indexReport(report) {
+  const stacks = new Map();
+  for (const s of report.stacks || []) {
+    const itemMap = new Map();
+    for (const item of s.items || []) {
+      // Derive logical ID: prefer new schema, fall back to old
+      const logicalId =
+        item.LogicalID ||
+        item.logical_id ||
+        item.cdk_path ||
+        `${item.service || item.Component || 'unknown'}|${item.LogicalID || item.logical_id || 'unknown'}`;
+
+      // Derive service/component label
+      const service =
+        item.Component ||
+        item.ResourceType ||
+        item.service ||
+        'Unknown';
+
+      // Derive monthly cost: new schema uses 'Est. Monthly Cost', old uses 'monthly_usd'
+      const monthlyCostRaw = item['Est. Monthly Cost'] ?? item.monthly_usd;
+      const monthlyCost =
+        typeof monthlyCostRaw === 'number' && Number.isFinite(monthlyCostRaw)
+          ? monthlyCostRaw
+          : 0;
+
+      // Normalize item into a consistent internal shape
+      const normalizedItem = {
+        logical_id: logicalId,
+        service,
+        monthly_usd: monthlyCost,
+        // Carry through breakdown and any other raw fields for later use
+        CostBreakdown: item.CostBreakdown || item.costBreakdown || item.cost_breakdown || [],
+        cdk_path: item.cdk_path,
+        notes: item.notes || [],
+        // Keep original item reference for any extra fields
+        _raw: item,
+      };
+
+      itemMap.set(logicalId, normalizedItem);
+    }
+    const normalizedName = s.display_name || normalizeStackName(s.name);
+    stacks.set(normalizedName, {
+      name: normalizedName,
+      fullPath: s.name,
+      account: s.account || null,
+      region: s.priced_region || s.region || null,
+      total: s.total_monthly_usd ?? 0,
+      items: itemMap,
+    });
+  }
+  const total =
+    report.grand_total_usd ??
+    Array.from(stacks.values()).reduce((sum, s) => sum + (s.total || 0), 0);
+  return { stacks, total };
+}
+
+/**
+ * Computes the per-stack and per-resource cost delta between two analyzer
+ * reports. When both hash maps are given, stacks whose template hash is
+ * unchanged are priced from the base report on both sides (delta 0).
+ *
+ * @param {AnalyzerReport} baseReport
+ * @param {AnalyzerReport} headReport
+ * @param {Map<string, string>} [baseHashes] template hash per stack name
+ * @param {Map<string, string>} [headHashes]
+ * @param {Logger} [logger]  silent by default
+ * @returns {Delta}
+ */
+function computeDelta(baseReport, headReport, baseHashes, headHashes, logger = SILENT_LOGGER) {
+  const base = indexReport(baseReport);
+  const head = indexReport(headReport);
+
+  const stackNames = new Set([
+    ...base.stacks.keys(),
+    ...head.stacks.keys(),
+  ]);
+
+  // Identify unchanged stacks based on hash comparison
+  const unchangedStacks = new Set();
+  if (baseHashes && headHashes) {
+    for (const stackName of stackNames) {
+      const normalized = normalizeStackName(stackName);
+      const baseHash = baseHashes ? baseHashes.get(normalized) : undefined;
+      const headHash = headHashes ? headHashes.get(normalized) : undefined;
+      if (baseHash && headHash && baseHash === headHash) {
+        unchangedStacks.add(stackName);
+        logger.log(`[DELTA] Stack "${stackName}" (normalized: "${normalized}") unchanged (hash: ${baseHash.substring(0, 16)}...)`);
+      }
+    }
+    logger.log(`[DELTA] Found ${unchangedStacks.size} unchanged stacks out of ${stackNames.size} total`);
+  }
+
+  const stacksDelta = [];
+  for (const stackName of stackNames) {
+    const baseStack = base.stacks.get(stackName);
+    const headStack = head.stacks.get(stackName);
+    
+    // For unchanged stacks, use the base cost for both sides (delta = 0)
+    let baseTotal, headTotal, diff;
+    if (unchangedStacks.has(stackName)) {
+      // Use base cost for both to ensure delta = 0
+      baseTotal = baseStack?.total ?? 0;
+      headTotal = baseTotal;
+      diff = 0;
+      logger.log(`[DELTA] Stack "${stackName}": Using base cost for both (${baseTotal}) - delta = 0`);
+    } else {
+      baseTotal = baseStack?.total ?? 0;
+      headTotal = headStack?.total ?? 0;
+      diff = headTotal - baseTotal;
+    }
+
+    const itemKeys = new Set([
+      ...(baseStack ? baseStack.items.keys() : []),
+      ...(headStack ? headStack.items.keys() : []),
+    ]);
+
+    const items = [];
+    for (const key of itemKeys) {
+      const baseItem = baseStack?.items.get(key);
+      const headItem = headStack?.items.get(key);
+
+      // Use normalized monthly_usd field set by indexReport
+      const baseVal = baseItem?.monthly_usd ?? 0;
+
+      // For unchanged stacks, use base cost for both head and base
+      const headVal = unchangedStacks.has(stackName)
+        ? baseVal
+        : (headItem?.monthly_usd ?? 0);
+
+      const itemDiff = headVal - baseVal;
+      if (itemDiff === 0) continue;
+
+      const logicalId = key;
+      const service = headItem?.service || baseItem?.service || 'Unknown';
+
+      items.push({
+        service,
+        logicalId,
+        cdkPath: headItem?.cdk_path || baseItem?.cdk_path || undefined,
+        base: baseVal,
+        head: headVal,
+        diff: itemDiff,
+        notes: headItem?.notes || baseItem?.notes || [],
+        stackName,
+        // Attach normalized cost breakdown data from the analyzer
+        breakdownBase: extractBreakdown(baseItem),
+        breakdownHead: extractBreakdown(headItem),
+      });
+    }
+
+    items.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+
+    stacksDelta.push({
+      stackName,
+      account: headStack?.account || baseStack?.account || null,
+      region: headStack?.region || baseStack?.region || null,
+      base: baseTotal,
+      head: headTotal,
+      diff,
+      items,
+      unchanged: unchangedStacks.has(stackName),
+    });
+  }
+
+  stacksDelta.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+
+  // Recalculate total considering unchanged stacks
+  let totalBase = 0;
+  let totalHead = 0;
+  for (const stackDelta of stacksDelta) {
+    totalBase += stackDelta.base;
+    totalHead += stackDelta.head;
+  }
+
+  return {
+    total: {
+      base: totalBase,
+      head: totalHead,
+      diff: totalHead - totalBase,
+    },
+    stacks: stacksDelta,
+    unchangedStacksCount: unchangedStacks.size,
+  };
+}
+
+function formatUsd(value) {
+  return `$${value.toFixed(2)}`;
+}
+
+function formatPropertyValue(value) {
+  if (value === undefined) return '(unset)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+}
+
+/**
+ * Evaluates the computed delta against the configured budget limits.
+ *
+ * Limits apply to cost increases only:
+ *   - maxIncreaseUsd: absolute limit on delta.total.diff
+ *   - maxIncreasePct: limit on delta.total.diff relative to delta.total.base,
+ *     so the base report should price every stack, not just the changed ones
+ *   - stackLimits: absolute limit on each stack's diff
+ *
+ * @param {Delta} delta
+ * @param {Budget} [budget]
+ * @param {Logger} [logger]  silent by default
+ * @returns {BudgetResult}
+ */
+function evaluateBudget(delta, budget, logger = SILENT_LOGGER) {
+  const breaches = [];
+  const enabled = !!budget && (
+    budget.maxIncreaseUsd !== undefined ||
+    budget.maxIncreasePct !== undefined ||
+    (budget.stackLimits && budget.stackLimits.size > 0)
+  );
+  if (!enabled) {
+    return { enabled: false, exceeded: false, breaches };
+  }
+
+  const total = delta.total;
+
+  if (budget.maxIncreaseUsd !== undefined && total.diff > budget.maxIncreaseUsd) {
+    breaches.push({
+      scope: 'Total',
+      limit: formatUsd(budget.maxIncreaseUsd),
+      actual: formatUsd(total.diff),
+      message: `Total monthly increase ${formatUsd(total.diff)} exceeds limit of ${formatUsd(budget.maxIncreaseUsd)}`,
+    });
+  }
+
+  if (budget.maxIncreasePct !== undefined && total.diff > 0) {
+    if (total.base > 0) {
+      const pct = (total.diff / total.base) * 100;
+      if (pct > budget.maxIncreasePct) {
+        breaches.push({
+          scope: 'Total (%)',
+          limit: `${budget.maxIncreasePct}%`,
+          actual: `${pct.toFixed(1)}%`,
+          message: `Total monthly increase of ${pct.toFixed(1)}% exceeds limit of ${budget.maxIncreasePct}%`,
+        });
+      }
+    } else {
+      logger.log('[BUDGET] Base total is $0.00; percentage limit cannot be evaluated, skipping');
+    }
+  }
+
+  if (budget.stackLimits) {
+    for (const [stackName, limit] of budget.stackLimits.entries()) {
+      const stack = (delta.stacks || []).find((s) => s.stackName === stackName);
+      if (!stack) {
+        logger.log(`[BUDGET] No stack named "${stackName}" in delta, skipping its limit`);
+        continue;
+      }
+      if (stack.diff > limit) {
+        breaches.push({
+          scope: `Stack ${stackName}`,
+          limit: formatUsd(limit),
+          actual: formatUsd(stack.diff),
+          message: `Stack "${stackName}" monthly increase ${formatUsd(stack.diff)} exceeds limit of ${formatUsd(limit)}`,
+        });
+      }
+    }
+  }
+
+  return { enabled: true, exceeded: breaches.length > 0, breaches };
+}
+
+/**
+ * Merge base/head breakdown arrays into a single list keyed by component
+ * name (or a best-effort synthetic key), computing base/head/diff for
+ * each cost driver.
+ *
+ * @param {BreakdownEntry[]} [baseArr]
+ * @param {BreakdownEntry[]} [headArr]
+ * @returns {MergedBreakdownEntry[]}
+ */
+function mergeBreakdowns(baseArr, headArr) {
+  const map = new Map();
+
+  const addEntries = (arr, type) => {
+    if (!Array.isArray(arr)) return;
+    for (const entry of arr) {
+      if (!entry) continue;
+      const key =
+        entry.name ||
+        `${entry.units || ''}|${entry.ratePerUnit ?? ''}`;
+
+      if (!map.has(key)) {
+        map.set(key, {
+          name: entry.name || 'Unknown',
+          units: entry.units || '',
+          ratePerUnit:
+            typeof entry.ratePerUnit === 'number' &&
+            Number.isFinite(entry.ratePerUnit)
+              ? entry.ratePerUnit
+              : 0,
+          base: 0,
+          head: 0,
+        });
+      }
+
+      const agg = map.get(key);
+      const cost =
+        typeof entry.monthlyCost === 'number' &&
+        Number.isFinite(entry.monthlyCost)
+          ? entry.monthlyCost
+          : 0;
+
+      if (type === 'base') {
+        agg.base += cost;
+      } else if (type === 'head') {
+        agg.head += cost;
+      }
+    }
+  };
+
+  addEntries(baseArr, 'base');
+  addEntries(headArr, 'head');
+
+  const merged = [];
+  for (const value of map.values()) {
+    const diff = value.head - value.base;
+    // Skip purely zero rows
+    if (diff === 0 && value.base === 0 && value.head === 0) continue;
+    merged.push({
+      name: value.name,
+      units: value.units,
+      ratePerUnit: value.ratePerUnit,
+      base: value.base,
+      head: value.head,
+      diff,
+    });
+  }
+
+  merged.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+  return merged;
+}
+
+const COMMENT_MARKER = '<!-- cloudcostgh-comment -->';
+
+/** GitHub rejects comments over 65,536 characters; keep some headroom. */
+const MAX_COMMENT_LENGTH = 65000;
+
+/**
+ * Detail levels tried in order until the report fits. Breakdowns are cut
+ * first (fewer rows, then only the largest stacks, then none), then the moved
+ * and changed resource lists, and finally the per-stack table keeps only the
+ * largest deltas.
+ */
+const RENDER_DETAIL_LEVELS = [
+  { breakdownRows: 30, breakdownStacks: Infinity, listLimit: Infinity, stackLimit: Infinity },
+  { breakdownRows: 10, breakdownStacks: Infinity, listLimit: Infinity, stackLimit: Infinity },
+  { breakdownRows: 10, breakdownStacks: 20, listLimit: Infinity, stackLimit: Infinity },
+  { breakdownRows: 5, breakdownStacks: 5, listLimit: 50, stackLimit: Infinity },
+  { breakdownRows: 0, breakdownStacks: 0, listLimit: 50, stackLimit: Infinity },
+  { breakdownRows: 0, breakdownStacks: 0, listLimit: 10, stackLimit: 100 },
+  { breakdownRows: 0, breakdownStacks: 0, listLimit: 0, stackLimit: 25 },
+];
+
+/**
+ * Renders the PR comment within `options.maxLength` characters, degrading
+ * detail level by level. A shortened report says so at the top, followed by
+ * `options.overflowNotice` (Markdown telling the reader where the full
+ * report is) when given. `options.history` ({ pushDelta, entries }) adds the
+ * "this push" comparison and the per-push history table, and
+ * `options.marker` replaces the default comment marker.
+ * `options.regionComparison` adds the stack × region matrix.
+ *
+ * @param {Delta} delta
+ * @param {string} commentTitle
+ * @param {BudgetResult} budgetResult
+ * @param {{maxLength?: number, overflowNotice?: string, marker?: string,
+ *   history?: Object, regionComparison?: Object, logger?: Logger}} [options]
+ * @returns {string}
+ */
+function renderMarkdown(delta, commentTitle, budgetResult, options = {}) {
+  const logger = options.logger || SILENT_LOGGER;
+  const maxLength = options.maxLength || MAX_COMMENT_LENGTH;
+  const notice = [
+    '> [!NOTE]',
+    `> This report was shortened to fit GitHub's comment size limit.${options.overflowNotice ? ` ${options.overflowNotice}` : ''}`,
+    '',
+  ];
+
+  let markdown = '';
+  for (const [idx, limits] of RENDER_DETAIL_LEVELS.entries()) {
+    markdown = renderMarkdownSections(delta, commentTitle, budgetResult, limits, {
+      notice: idx > 0 ? notice : null,
+      history: options.history,
+      marker: options.marker,
+      regionComparison: options.regionComparison,
+    });
+    if (markdown.length <= maxLength) {
+      if (idx > 0) logger.log(`[RENDER] Report shortened to detail level ${idx} (${markdown.length} chars)`);
+      return markdown;
+    }
+  }
+
+  // Still too long (thousands of stacks): cut at a line boundary
+  const cut = markdown.substring(0, maxLength - 200);
+  logger.warn(`[RENDER] Report truncated from ${markdown.length} chars`);
+  return `${cut.substring(0, cut.lastIndexOf('\n'))}\n\n_…truncated._\n`;
+}
+
+function renderMarkdownSections(delta, commentTitle, budgetResult, limits, { notice, history, marker, regionComparison }) {
+  const lines = [];
+  lines.push(marker || COMMENT_MARKER);
+  lines.push(`## ${commentTitle}`);
+  lines.push('');
+  if (notice) lines.push(...notice);
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Budget check (only when limits are configured)
+  // ─────────────────────────────────────────────────────────────────────────
+  if (budgetResult && budgetResult.enabled) {
+    if (budgetResult.exceeded) {
+      lines.push('> [!CAUTION]');
+      lines.push(`> **Budget exceeded** - ${budgetResult.breaches.length} limit(s) hit.`);
+      lines.push('');
+      lines.push('| Limit | Threshold | Actual |');
+      lines.push('|-------|-----------|--------|');
+      for (const breach of budgetResult.breaches) {
+        lines.push(`| ${breach.scope} | ${breach.limit} | ${breach.actual} |`);
+      }
+    } else {
+      lines.push('✅ **Within budget** - no configured cost limits were exceeded.');
+    }
+    lines.push('');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Section 1: Grand Total Cost Delta
+  // ─────────────────────────────────────────────────────────────────────────
+  const total = delta.total;
+  lines.push('### Grand Total Cost Delta');
+  lines.push('');
+  lines.push('| Base | Head | Δ |');
+  lines.push('|------|------|---|');
+  lines.push(
+    `| ${formatUsd(total.base)} | ${formatUsd(total.head)} | ${formatUsd(total.diff)} |`,
+  );
+  lines.push('');
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Section 1a: This push vs. whole PR, and the per-push history
+  // ─────────────────────────────────────────────────────────────────────────
+  const pushDelta = history && history.pushDelta;
+  if (pushDelta) {
+    const shortSha = (sha) => `\`${String(sha).substring(0, 7)}\``;
+    lines.push('### This Push');
+    lines.push('');
+    lines.push(`| | This push (since ${shortSha(pushDelta.previousSha)}) | Whole PR |`);
+    lines.push('|---|---|---|');
+    lines.push(`| **Total** | ${formatUsd(pushDelta.diff)} | ${formatUsd(total.diff)} |`);
+    const wholePr = new Map((delta.stacks || []).map((stack) => [stack.stackName, stack.diff]));
+    const pushStacks = (pushDelta.stacks || []).slice(0, limits.listLimit);
+    for (const stack of pushStacks) {
+      lines.push(`| ${stack.stackName} | ${formatUsd(stack.diff)} | ${formatUsd(wholePr.get(stack.stackName) ?? 0)} |`);
+    }
+    if (pushDelta.stacks && pushDelta.stacks.length > pushStacks.length) {
+      lines.push(`| _+${pushDelta.stacks.length - pushStacks.length} more stack(s) changed in this push_ |  |  |`);
+    }
+    lines.push('');
+  }
+  if (history && history.entries && history.entries.length > 1) {
+    const MAX_HISTORY_ROWS = 10;
+    const entries = history.entries.slice(-MAX_HISTORY_ROWS);
+    lines.push('<details>');
+    lines.push(`<summary>Cost history for the last ${entries.length} push(es)</summary>`);
+    lines.push('');
+    lines.push('| Commit | Head Monthly | Δ vs Base | Δ vs Previous Push |');
+    lines.push('|--------|--------------|-----------|--------------------|');
+    entries.forEach((entry, idx) => {
+      const previous = idx > 0 ? entries[idx - 1] : null;
+      lines.push(
+        `| \`${entry.sha.substring(0, 7)}\` | ${formatUsd(entry.head)} | ${formatUsd(entry.diff)} | ${previous ? formatUsd(entry.diff - previous.diff) : '-'} |`,
+      );
+    });
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Section 2: Per-Stack Cost Delta (only stacks with |Δ| > 0)
+  // ─────────────────────────────────────────────────────────────────────────
+  const stacksWithDelta = (delta.stacks || [])
+    .filter((s) => s.diff !== 0)
+    .sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+
+  lines.push('### Per-Stack Cost Delta');
+  lines.push('');
+
+  if (stacksWithDelta.length === 0) {
+    lines.push('_No stacks with non-zero cost delta._');
+    lines.push('');
+  } else {
+    lines.push('| Stack | Region | Base | Head | Δ |');
+    lines.push('|-------|--------|------|------|---|');
+    for (const stack of stacksWithDelta.slice(0, limits.stackLimit)) {
+      lines.push(
+        `| ${stack.stackName}${stack.renamedFrom ? ` _(renamed from ${stack.renamedFrom})_` : ''} | ${stack.region || '-'} | ${formatUsd(stack.base)} | ${formatUsd(stack.head)} | ${formatUsd(stack.diff)} |`,
+      );
+    }
+    if (stacksWithDelta.length > limits.stackLimit) {
+      lines.push(`| _+${stacksWithDelta.length - limits.stackLimit} smaller stack delta(s) omitted_ |  |  |  |  |`);
+    }
+    lines.push('');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Section 2a: Same change priced in other regions (compare_regions)
+  // ─────────────────────────────────────────────────────────────────────────
+  if (regionComparison && regionComparison.regions.length > 0) {
+    const { regions, totals, cheapestRegion } = regionComparison;
+    const cell = (costs, isCheapest) => {
+      if (!costs) return '-';
+      const text = `${formatUsd(costs.head)} (Δ ${formatUsd(costs.diff)})`;
+      return isCheapest ? `**${text}** 🏆` : text;
+    };
+    lines.push('### Region Comparison');
+    lines.push('');
+    lines.push(`Head monthly cost and delta in each region. Cheapest overall: **${cheapestRegion}**.`);
+    lines.push('');
+    lines.push(`| Stack | ${regions.join(' | ')} |`);
+    lines.push(`|-------|${regions.map(() => '---').join('|')}|`);
+    const shownStacks = regionComparison.stacks.slice(0, limits.stackLimit);
+    for (const row of shownStacks) {
+      lines.push(
+        `| ${row.stackName} | ${regions.map((r) => cell(row.byRegion[r], r === row.cheapestRegion)).join(' | ')} |`,
+      );
+    }
+    if (regionComparison.stacks.length > shownStacks.length) {
+      lines.push(`| _+${regionComparison.stacks.length - shownStacks.length} more stack(s)_ | ${regions.map(() => '').join(' | ')} |`);
+    }
+    lines.push(`| **Total** | ${regions.map((r) => cell(totals[r], r === cheapestRegion)).join(' | ')} |`);
+    lines.push('');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Section 2b: Resources matched across logical-ID and stack renames
+  // ─────────────────────────────────────────────────────────────────────────
+  const movedItems = [];
+  for (const stack of delta.stacks || []) {
+    for (const item of stack.items || []) {
+      if (item.movedFrom) movedItems.push({ stack, item });
+    }
+  }
+  if (movedItems.length > 0) {
+    lines.push('### Moved Resources');
+    lines.push('');
+    lines.push('| Resource | Moved From | Base | Head | Δ |');
+    lines.push('|----------|------------|------|------|---|');
+    for (const { stack, item } of movedItems.slice(0, limits.listLimit)) {
+      lines.push(
+        `| ${stack.stackName} / ${item.service} / ${item.logicalId} | ${item.movedFrom.stackName} / ${item.movedFrom.logicalId} | ${formatUsd(item.base)} | ${formatUsd(item.head)} | ${formatUsd(item.diff)} |`,
+      );
+    }
+    if (movedItems.length > limits.listLimit) {
+      lines.push(`| _+${movedItems.length - limits.listLimit} moved resource(s) omitted_ |  |  |  |  |`);
+    }
+    lines.push('');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Section 2c: Template changes behind each resource's cost delta
+  // ─────────────────────────────────────────────────────────────────────────
+  const MAX_PROPERTY_CHANGES_PER_RESOURCE = 5;
+  const changeLines = [];
+  for (const stack of stacksWithDelta) {
+    for (const item of stack.items || []) {
+      const changes = item.propertyChanges || [];
+      const relevant = changes.filter((c) => c.costRelevant);
+      if (relevant.length === 0) continue;
+
+      const shown = relevant
+        .slice(0, MAX_PROPERTY_CHANGES_PER_RESOURCE)
+        .map((c) => `\`${c.path}: ${formatPropertyValue(c.base)} → ${formatPropertyValue(c.head)}\``);
+      const others = changes.length - shown.length;
+      changeLines.push(
+        `- **${stack.stackName} / ${item.service} / ${item.logicalId}** (${formatUsd(item.diff)})${
+          item.movedFrom ? ` _(moved from ${item.movedFrom.stackName} / ${item.movedFrom.logicalId})_` : ''
+        }: ${shown.join(', ')}${
+          others > 0 ? ` _(+${others} other change(s))_` : ''
+        }`,
+      );
+    }
+  }
+  if (changeLines.length > 0) {
+    lines.push('### What Changed');
+    lines.push('');
+    lines.push(...changeLines.slice(0, limits.listLimit));
+    if (changeLines.length > limits.listLimit) {
+      lines.push(`- _+${changeLines.length - limits.listLimit} more changed resource(s) omitted_`);
+    }
+    lines.push('');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Section 3: Per-Stack Cost Breakdown (only stacks with |Δ| > 0)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  // Build breakdown view only for stacks that have non-zero delta
+  const stacksWithBreakdown = [];
+  for (const stack of stacksWithDelta) {
+    const resourcesWithBreakdown = [];
+    for (const item of stack.items || []) {
+      // Include resources that have breakdown data (even if item-level diff is 0,
+      // the stack-level diff is non-zero so we still want to show context)
+      const hasBreakdown =
+        (item.breakdownBase && item.breakdownBase.length > 0) ||
+        (item.breakdownHead && item.breakdownHead.length > 0);
+      if (!hasBreakdown) continue;
+      resourcesWithBreakdown.push(item);
+    }
+    if (resourcesWithBreakdown.length > 0) {
+      stacksWithBreakdown.push({
+        stackName: stack.stackName,
+        region: stack.region,
+        diff: stack.diff,
+        resources: resourcesWithBreakdown,
+      });
+    }
+  }
+
+  lines.push('### Per-Stack Cost Breakdown');
+  lines.push('');
+
+  if (stacksWithBreakdown.length === 0) {
+    lines.push(
+      '_No detailed cost breakdown data available for stacks with cost deltas._',
+    );
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  if (limits.breakdownRows === 0 || limits.breakdownStacks === 0) {
+    lines.push('_Cost breakdowns omitted to fit the comment size limit._');
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  lines.push(
+    'Expand a stack below to see the cost drivers for its resources.',
+  );
+  lines.push('');
+
+  const MAX_ROWS_PER_STACK = limits.breakdownRows;
+
+  for (const stack of stacksWithBreakdown.slice(0, limits.breakdownStacks)) {
+    lines.push('<details>');
+    lines.push(
+      `<summary><b>Stack: ${stack.stackName}</b>${stack.region ? ` (priced in ${stack.region})` : ''} · Δ ${formatUsd(stack.diff)}</summary>`,
+    );
+    lines.push('');
+    lines.push(
+      '| Resource | Component | Units | Rate / Unit | Base Monthly | Head Monthly | Δ |',
+    );
+    lines.push(
+      '|----------|-----------|-------|-------------|--------------|--------------|---|',
+    );
+
+    const rows = [];
+
+    for (const res of stack.resources) {
+      const merged = mergeBreakdowns(res.breakdownBase, res.breakdownHead);
+      const resourceLabel = `${res.service} / ${res.logicalId}${res.movedFrom ? ' (moved)' : ''}`;
+      const assumed = res.usageAssumptions
+        ? `_(assumed ${formatUsageAssumptions(res.usageAssumptions)})_`
+        : '';
+      for (const m of merged) {
+        rows.push({
+          resource: resourceLabel,
+          component: m.name,
+          units: [m.units, assumed].filter(Boolean).join(' '),
+          ratePerUnit: m.ratePerUnit,
+          base: m.base,
+          head: m.head,
+          diff: m.diff,
+        });
+      }
+    }
+
+    rows.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+    const limitedRows = rows.slice(0, MAX_ROWS_PER_STACK);
+
+    if (limitedRows.length === 0) {
+      lines.push(
+        '| _No detailed breakdown data available for resources in this stack._ |  |  |  |  |  |  |',
+      );
+    } else {
+      for (const row of limitedRows) {
+        lines.push(
+          `| ${row.resource} | ${row.component} | ${row.units} | ${
+            row.ratePerUnit || ''
+          } | ${formatUsd(row.base)} | ${formatUsd(row.head)} | ${formatUsd(row.diff)} |`,
+        );
+      }
+      if (rows.length > MAX_ROWS_PER_STACK) {
+        lines.push(
+          `| _+${rows.length - MAX_ROWS_PER_STACK} additional breakdown row(s) omitted for brevity_ |  |  |  |  |  |  |`,
+        );
+      }
+    }
+
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+  if (stacksWithBreakdown.length > limits.breakdownStacks) {
+    lines.push(`_Breakdowns for ${stacksWithBreakdown.length - limits.breakdownStacks} smaller stack(s) omitted._`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Version of the exported delta document. Bump the major version on any
+ * breaking change to DELTA_JSON_SCHEMA.
+ */
+const DELTA_SCHEMA_VERSION = '1.0';
+
+const DELTA_JSON_SCHEMA = (() => {
+  const money = { type: 'number', description: 'Monthly cost in USD' };
+  const costs = { base: money, head: money, diff: money };
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'CloudCost delta report',
+    type: 'object',
+    required: ['schema_version', 'generated_at', 'currency', 'total', 'stacks'],
+    properties: {
+      schema_version: { const: DELTA_SCHEMA_VERSION },
+      generated_at: { type: 'string', format: 'date-time' },
+      repository: { type: ['string', 'null'] },
+      base_sha: { type: ['string', 'null'] },
+      head_sha: { type: ['string', 'null'] },
+      currency: { const: 'USD' },
+      total: { type: 'object', required: ['base', 'head', 'diff'], properties: costs },
+      budget: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          exceeded: { type: 'boolean' },
+          breaches: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                scope: { type: 'string' },
+                limit: { type: 'string' },
+                actual: { type: 'string' },
+                message: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+      unchanged_stacks: { type: 'integer' },
+      stacks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'base', 'head', 'diff', 'resources'],
+          properties: {
+            name: { type: 'string' },
+            renamed_from: { type: ['string', 'null'] },
+            account: { type: ['string', 'null'] },
+            region: { type: ['string', 'null'] },
+            ...costs,
+            resources: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['logical_id', 'service', 'base', 'head', 'diff'],
+                properties: {
+                  logical_id: { type: 'string' },
+                  service: { type: 'string' },
+                  cdk_path: { type: ['string', 'null'] },
+                  moved_from: {
+                    type: ['object', 'null'],
+                    properties: { stack: { type: 'string' }, logical_id: { type: 'string' } },
+                  },
+                  ...costs,
+                  usage_assumptions: {
+                    type: ['object', 'null'],
+                    additionalProperties: { type: 'number' },
+                  },
+                  property_changes: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        path: { type: 'string' },
+                        base: {},
+                        head: {},
+                        cost_relevant: { type: 'boolean' },
+                      },
+                    },
+                  },
+                  breakdown: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        component: { type: 'string' },
+                        units: { type: 'string' },
+                        rate_per_unit: { type: 'number' },
+                        ...costs,
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+})();
+
+/**
+ * Converts the internal delta into the exported document described by
+ * DELTA_JSON_SCHEMA (snake_case keys, breakdowns merged per component).
+ *
+ * @param {Delta} delta
+ * @param {BudgetResult} budgetResult
+ * @param {{repository?: string, baseSha?: string, headSha?: string}} meta
+ * @returns {Object} document valid against DELTA_JSON_SCHEMA
+ */
+function buildDeltaExport(delta, budgetResult, meta) {
+  return {
+    schema_version: DELTA_SCHEMA_VERSION,
+    generated_at: new Date().toISOString(),
+    repository: meta.repository || null,
+    base_sha: meta.baseSha || null,
+    head_sha: meta.headSha || null,
+    currency: 'USD',
+    total: { ...delta.total },
+    budget: {
+      enabled: Boolean(budgetResult && budgetResult.enabled),
+      exceeded: Boolean(budgetResult && budgetResult.exceeded),
+      breaches: (budgetResult && budgetResult.breaches) || [],
+    },
+    unchanged_stacks: delta.unchangedStacksCount || 0,
+    stacks: (delta.stacks || []).map((stack) => ({
+      name: stack.stackName,
+      renamed_from: stack.renamedFrom || null,
+      account: stack.account || null,
+      region: stack.region || null,
+      base: stack.base,
+      head: stack.head,
+      diff: stack.diff,
+      resources: (stack.items || []).map((item) => ({
+        logical_id: item.logicalId,
+        service: item.service,
+        cdk_path: item.cdkPath || null,
+        moved_from: item.movedFrom
+          ? { stack: item.movedFrom.stackName, logical_id: item.movedFrom.logicalId }
+          : null,
+        base: item.base,
+        head: item.head,
+        diff: item.diff,
+        usage_assumptions: item.usageAssumptions || null,
+        property_changes: (item.propertyChanges || []).map((c) => ({
+          path: c.path,
+          base: c.base,
+          head: c.head,
+          cost_relevant: c.costRelevant,
+        })),
+        breakdown: mergeBreakdowns(item.breakdownBase, item.breakdownHead).map((m) => ({
+          component: m.name,
+          units: m.units,
+          rate_per_unit: m.ratePerUnit,
+          base: m.base,
+          head: m.head,
+          diff: m.diff,
+        })),
+      })),
+    })),
+  };
+}
+
+const toMap = (value) => (value instanceof Map ? value : new Map(Object.entries(value || {})));
+
+/**
+ * Diffs two stored analyzer reports. Hashes and stack limits may be Maps or
+ * plain objects, so options can come straight from JSON. Logs nothing unless
+ * `options.logger` is given.
+ *
+ * @param {AnalyzerReport} baseReport
+ * @param {AnalyzerReport} headReport
+ * @param {Object} [options]
+ * @param {Map<string, string>|Object<string, string>} [options.baseHashes]
+ * @param {Map<string, string>|Object<string, string>} [options.headHashes]
+ * @param {{maxIncreaseUsd?: number, maxIncreasePct?: number,
+ *   stackLimits?: Map<string, number>|Object<string, number>}} [options.budget]
+ * @param {Logger} [options.logger]
+ * @returns {{delta: Delta, budget: BudgetResult}}
+ */
+function diffReports(baseReport, headReport, options = {}) {
+  const logger = options.logger || SILENT_LOGGER;
+  const hashes = options.baseHashes && options.headHashes
+    ? [toMap(options.baseHashes), toMap(options.headHashes)]
+    : [undefined, undefined];
+  const delta = computeDelta(baseReport || {}, headReport || {}, hashes[0], hashes[1], logger);
+  const budget = options.budget
+    ? { ...options.budget, stackLimits: toMap(options.budget.stackLimits) }
+    : undefined;
+  return { delta, budget: evaluateBudget(delta, budget, logger) };
+}
+
+module.exports = {
+  diffReports,
+  computeDelta,
+  indexReport,
+  normalizeBreakdownEntry,
+  extractBreakdown,
+  evaluateBudget,
+  mergeBreakdowns,
+  renderMarkdown,
+  buildDeltaExport,
+  buildRegionComparison,
+  normalizeStackName,
+  formatUsd,
+  formatPropertyValue,
+  formatUsageAssumptions,
+  COMMENT_MARKER,
+  MAX_COMMENT_LENGTH,
+  DELTA_SCHEMA_VERSION,
+  DELTA_JSON_SCHEMA,
+  SILENT_LOGGER,
+};
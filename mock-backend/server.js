@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Mock CloudCost backend for offline runs of the action, the CLI and the
+ * analyzer. Every request is answered from a fixture file: the request path
+ * maps to <fixtures>/<path>.json, falling back to the nearest parent path's
+ * file, so /api/v1/pricing/AmazonEC2 is served by api/v1/pricing/AmazonEC2.json
+ * or else api/v1/pricing.json. Unmatched paths get a 404 and are logged.
+ * With --proxy, unmatched requests are forwarded to a real backend instead and
+ * its successful responses are saved as fixtures. The fixtures shipped in
+ * mock-backend/fixtures are synthetic, not recorded from the real API.
+ *
+ *   node mock-backend/server.js --port 8787 [--fixtures dir] [--api-key key] [--record file] [--proxy url]
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_PORT = 8787;
+
+/**
+ * Finds the fixture for a request path, trying the path itself and then
+ * each parent (only the path itself with `exactOnly`). Returns null when
+ * none exists.
+ */
+function findFixture(fixturesDir, requestPath, exactOnly = false) {
+  const segments = requestPath.split('/').filter((segment) => segment && segment !== '..');
+  const shortest = exactOnly ? segments.length : 1;
+  for (let count = segments.length; count >= shortest && count > 0; count--) {
+    const candidate = path.join(fixturesDir, ...segments.slice(0, count)) + '.json';
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Forwards a request to the real backend and, when it answers 2xx with JSON,
+ * saves the body as the fixture for that exact path. Returns the status and
+ * body to send back.
+ */
+async function proxyRequest(proxy, fixturesDir, req, url, body, log) {
+  const target = new URL(`${url.pathname.replace(/^\//, '')}${url.search}`, proxy.endsWith('/') ? proxy : `${proxy}/`);
+  const response = await fetch(target, {
+    method: req.method,
+    headers: {
+      ...(req.headers.authorization ? { Authorization: req.headers.authorization } : {}),
+      ...(req.headers['content-type'] ? { 'Content-Type': req.headers['content-type'] } : {}),
+    },
+    body: ['GET', 'HEAD'].includes(req.method) ? undefined : body,
+  });
+  const text = await response.text();
+  if (response.ok) {
+    try {
+      const parsed = JSON.parse(text);
+      const segments = url.pathname.split('/').filter((segment) => segment && segment !== '..');
+      const fixture = path.join(fixturesDir, ...segments) + '.json';
+      fs.mkdirSync(path.dirname(fixture), { recursive: true });
+      fs.writeFileSync(fixture, `${JSON.stringify(parsed, null, 2)}\n`);
+      log(`[MOCK] Saved ${target.pathname} response as ${path.relative(process.cwd(), fixture)}`);
+    } catch (e) {
+      log(`[MOCK] ${target.pathname} did not return JSON; not saved as a fixture`);
+    }
+  }
+  return { status: response.status, text };
+}
+
+/**
+ * Creates (but does not start) the mock server. With `apiKey` set, requests
+ * must carry `Authorization: Bearer <apiKey>`; otherwise any bearer token is
+ * accepted. With `record` set, each request is appended to that file as one
+ * JSON line, for inspecting what the analyzer and the action sent. With
+ * `proxy` set (a backend URL), requests without a fixture are forwarded there
+ * and successful responses become fixtures.
+ */
+function createMockBackend({ fixturesDir = DEFAULT_FIXTURES_DIR, apiKey, record, proxy, log = console.log } = {}) {
+  return http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = Buffer.concat(chunks).toString('utf8');
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+        log(`[MOCK] ${req.method} ${url.pathname} → ${status}`);
+      };
+
+      if (record) {
+        let parsedBody = body;
+        try {
+          parsedBody = body ? JSON.parse(body) : null;
+        } catch (e) {
+          // Keep non-JSON bodies as text
+        }
+        fs.appendFileSync(
+          record,
+          `${JSON.stringify({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body: parsedBody })}\n`,
+        );
+      }
+
+      const auth = req.headers.authorization || '';
+      const token = auth.startsWith('Bearer ') ? auth.substring('Bearer '.length) : '';
+      if (!token || (apiKey && token !== apiKey)) {
+        send(401, { error: 'invalid_api_key', message: 'License required' });
+        return;
+      }
+
+      // When proxying, a parent path's fixture is no stand-in for the real response
+      const fixture = findFixture(fixturesDir, url.pathname, Boolean(proxy));
+      if (!fixture && proxy) {
+        try {
+          const { status, text } = await proxyRequest(proxy, fixturesDir, req, url, body, log);
+          send(status, text);
+        } catch (err) {
+          send(502, { error: 'proxy_failed', message: `Could not reach ${proxy}: ${err.message}` });
+        }
+        return;
+      }
+      if (!fixture) {
+        send(404, { error: 'not_found', message: `No fixture for ${url.pathname} in ${fixturesDir}` });
+        return;
+      }
+      send(200, fs.readFileSync(fixture, 'utf8'));
+    });
+  });
+}
+
+function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, fixturesDir: DEFAULT_FIXTURES_DIR };
+  for (let idx = 0; idx < argv.length; idx++) {
+    const value = argv[idx + 1];
+    switch (argv[idx]) {
+      case '--port':
+        options.port = Number(value);
+        break;
+      case '--fixtures':
+        options.fixturesDir = path.resolve(value);
+        break;
+      case '--api-key':
+        options.apiKey = value;
+        break;
+      case '--record':
+        options.record = path.resolve(value);
+        break;
+      case '--proxy':
+        options.proxy = value;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[idx]}`);
+    }
+    idx++;
+  }
+  if (!Number.isInteger(options.port) || options.port < 0) {
+    throw new Error('--port needs a port number');
+  }
+  return options;
+}
+
+module.exports = { createMockBackend, findFixture };
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`mock-backend: ${err.message}`);
+    process.exit(2);
+  }
+  const server = createMockBackend(options);
+  server.listen(options.port, '127.0.0.1', () => {
+    console.log(`[MOCK] CloudCost mock backend listening on http://127.0.0.1:${server.address().port}/`);
+    console.log(`[MOCK] Fixtures: ${options.fixturesDir}`);
+    if (options.fixturesDir === DEFAULT_FIXTURES_DIR) {
+      console.log('[MOCK] These are the synthetic fixtures shipped with the action, not real API responses; record real ones with --proxy');
+    }
+    if (options.record) console.log(`[MOCK] Recording requests to ${options.record}`);
+    if (options.proxy) console.log(`[MOCK] Forwarding requests without a fixture to ${options.proxy}`);
+  });
+  process.on('SIGINT', () => server.close(() => process.exit(0)));
+  process.on('SIGTERM', () => server.close(() => process.exit(0)));
+}